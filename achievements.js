@@ -0,0 +1,305 @@
+/*
+ * Achievements.
+ * Each achievement is a test on player 1's run so far. A tracker listens to a
+ * game's event bus (see `createGame` in engine.js), keeps the per-run counters
+ * the tests need and reports every achievement the first time its test passes.
+ * Unlocks are plain JSON — id → ISO date — for the page to keep in localStorage.
+ * Global `SnakeAchievements` in the page, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./rules.js"));
+  } else {
+    root.SnakeAchievements = factory(root.SnakeRules);
+  }
+})(typeof self !== "undefined" ? self : this, function (SnakeRules) {
+  "use strict";
+
+  const hardTickMs = SnakeRules.difficultySpeeds.hard;
+
+  const player = (state) => state.snakes[0];
+
+  // In gallery order. `test(run, state)` sees the tracker's counters and the live state.
+  const achievements = [
+    {
+      id: "first-apple",
+      icon: "🍎",
+      title: "First bite",
+      description: "Eat an apple.",
+      test: (run, state) => player(state).stats.apples >= 1,
+    },
+    {
+      id: "apples-50",
+      icon: "🧺",
+      title: "Hearty appetite",
+      description: "Eat 50 apples in one run.",
+      test: (run, state) => player(state).stats.apples >= 50,
+    },
+    {
+      id: "apples-150",
+      icon: "🌳",
+      title: "Orchard keeper",
+      description: "Eat 150 apples in one run.",
+      test: (run, state) => player(state).stats.apples >= 150,
+    },
+    {
+      id: "fast-food",
+      icon: "⚡",
+      title: "Fast food",
+      description: "Eat 10 apples in the first 30 seconds.",
+      test: (run, state) => player(state).stats.apples >= 10 && state.timeMs <= 30000,
+    },
+    {
+      id: "score-500",
+      icon: "🥉",
+      title: "Five hundred",
+      description: "Score 500 points in one run.",
+      test: (run, state) => player(state).score >= 500,
+    },
+    {
+      id: "score-2000",
+      icon: "🥇",
+      title: "High roller",
+      description: "Score 2,000 points in one run.",
+      test: (run, state) => player(state).score >= 2000,
+    },
+    {
+      id: "purist",
+      icon: "🧘",
+      title: "Purist",
+      description: "Score 300 points without picking up a power-up.",
+      test: (run, state) => player(state).score >= 300 && player(state).stats.powerUps === 0,
+    },
+    {
+      id: "length-25",
+      icon: "📏",
+      title: "Growing up",
+      description: "Reach length 25.",
+      test: (run, state) => player(state).body.length >= 25,
+    },
+    {
+      id: "length-60",
+      icon: "🐍",
+      title: "Long way round",
+      description: "Reach length 60.",
+      test: (run, state) => player(state).body.length >= 60,
+    },
+    {
+      id: "hard-solid-100",
+      icon: "🐉",
+      title: "Centipede",
+      description: "Reach length 100 on Hard with solid walls.",
+      test: (run, state) =>
+        player(state).body.length >= 100 && state.config.tickMs <= hardTickMs && state.config.walls === "solid",
+    },
+    {
+      id: "minute",
+      icon: "⏱️",
+      title: "Survivor",
+      description: "Stay alive for a minute.",
+      test: (run, state) => player(state).alive && state.timeMs >= 60000,
+    },
+    {
+      id: "five-minutes",
+      icon: "🏃",
+      title: "Marathon",
+      description: "Stay alive for five minutes.",
+      test: (run, state) => player(state).alive && state.timeMs >= 5 * 60000,
+    },
+    {
+      id: "bomb",
+      icon: "💣",
+      title: "Kaboom",
+      description: "Pick up a bomb.",
+      test: (run) => run.bombs >= 1,
+    },
+    {
+      id: "bombs-3",
+      icon: "🧨",
+      title: "Demolition crew",
+      description: "Pick up 3 bombs in one run.",
+      test: (run) => run.bombs >= 3,
+    },
+    {
+      id: "rocket",
+      icon: "🚀",
+      title: "Liftoff",
+      description: "Launch a rocket.",
+      test: (run) => run.rockets >= 1,
+    },
+    {
+      id: "magnet-5",
+      icon: "🧲",
+      title: "Magnetic personality",
+      description: "Eat 5 apples in one magnet pull.",
+      test: (run) => run.bestPull >= 5,
+    },
+    {
+      id: "magnet-15",
+      icon: "🌀",
+      title: "Vacuum cleaner",
+      description: "Eat 15 apples while one magnet lasts.",
+      test: (run) => run.magnetApples >= 15,
+    },
+    {
+      id: "collector",
+      icon: "🎒",
+      title: "Collector",
+      description: "Pick up a bomb, a magnet and a rocket in one run.",
+      test: (run) => run.bombs > 0 && run.magnets > 0 && run.rockets > 0,
+    },
+    {
+      id: "wrap-20",
+      icon: "🌍",
+      title: "Around the world",
+      description: "Cross the edge of the board 20 times in one run.",
+      test: (run) => run.wraps >= 20,
+    },
+    {
+      id: "portal",
+      icon: "🌌",
+      title: "Wormhole",
+      description: "Go through a portal.",
+      test: (run) => run.portals >= 1,
+    },
+    {
+      id: "rivals-5",
+      icon: "🤖",
+      title: "Outlasted",
+      description: "See rivals crash 5 times in one run.",
+      test: (run) => run.rivalCrashes >= 5,
+    },
+    {
+      id: "versus-win",
+      icon: "🤝",
+      title: "Head to head",
+      description: "Win a versus round as player 1.",
+      test: (run) => run.won,
+    },
+    {
+      id: "stage-3-stars",
+      icon: "⭐",
+      title: "Perfectionist",
+      description: "Clear a campaign stage with three stars.",
+      test: (run) => run.stars >= 3,
+    },
+    {
+      id: "daily-3",
+      icon: "📅",
+      title: "Daily habit",
+      description: "Play the daily challenge three days in a row.",
+      test: (run) => run.dailyStreak >= 3,
+    },
+  ];
+
+  const byId = new Map(achievements.map((a) => [a.id, a]));
+
+  /** Cleans up unlocks read from storage: unknown ids and bad dates are dropped. */
+  function normalize(unlocked) {
+    const clean = {};
+    if (!unlocked || typeof unlocked !== "object") return clean;
+    for (const id of Object.keys(unlocked)) {
+      if (byId.has(id) && typeof unlocked[id] === "string") clean[id] = unlocked[id];
+    }
+    return clean;
+  }
+
+  /** Per-run counters that the events alone can tell (the state has the rest). */
+  function createRun() {
+    return {
+      bombs: 0,
+      magnets: 0,
+      rockets: 0,
+      magnetApples: 0, // apples eaten by the current (or last) magnet
+      bestPull: 0, // most apples one magnet pull has eaten at once
+      wraps: 0,
+      portals: 0,
+      rivalCrashes: 0,
+      won: false,
+      stars: 0, // set by the page's "stageClear" event
+      dailyStreak: 0, // set by the page's "daily" event
+      head: null, // player 1's head after the previous tick
+    };
+  }
+
+  // The head jumped instead of moving one cell: off an edge (wrap-around) or through a portal.
+  // A shield taking a crash keeps the head where it was, which is neither.
+  function trackMove(run, state) {
+    const snake = player(state);
+    const head = snake.body[0];
+    const moved = run.head && (head.x !== run.head.x || head.y !== run.head.y);
+    if (moved && snake.alive) {
+      const ahead = { x: run.head.x + snake.direction.x, y: run.head.y + snake.direction.y };
+      if (ahead.x !== head.x || ahead.y !== head.y) {
+        const { width, height } = state.config;
+        const offBoard = ahead.x < 0 || ahead.y < 0 || ahead.x >= width || ahead.y >= height;
+        if (offBoard) run.wraps += 1;
+        else run.portals += 1;
+      }
+    }
+    run.head = { x: head.x, y: head.y };
+  }
+
+  function tally(run, ev, state) {
+    const own = ev.player === undefined || ev.player === 0;
+    switch (ev.type) {
+      case "bomb":
+        if (own) run.bombs += 1;
+        break;
+      case "magnet":
+        if (own) {
+          run.magnets += 1;
+          run.magnetApples = 0;
+        }
+        break;
+      case "magnetPull":
+        if (own) {
+          run.magnetApples += ev.count;
+          run.bestPull = Math.max(run.bestPull, ev.count);
+        }
+        break;
+      case "rocket":
+        if (own) run.rockets += 1;
+        break;
+      case "death":
+        if (state.snakes[ev.player] && state.snakes[ev.player].rival) run.rivalCrashes += 1;
+        break;
+      case "tick":
+        trackMove(run, state);
+        if (state.over && state.config.players > 1 && state.winner === 0) run.won = true;
+        break;
+      case "stageClear":
+        run.stars = Math.max(run.stars, ev.stars || 0);
+        break;
+      case "daily":
+        run.dailyStreak = ev.streak || 0;
+        break;
+    }
+  }
+
+  /**
+   * Follows one run on `bus`. `onUnlock(achievement)` is called once per run for
+   * each achievement that passes and isn't in `unlocked` yet; recording it there
+   * is up to the caller. Returns a function that stops the tracking.
+   */
+  function track(bus, unlocked, onUnlock) {
+    const run = createRun();
+    const reported = new Set();
+    return bus.on("*", (ev, state) => {
+      tally(run, ev, state);
+      for (const achievement of achievements) {
+        if (unlocked[achievement.id] || reported.has(achievement.id)) continue;
+        if (achievement.test(run, state)) {
+          reported.add(achievement.id);
+          onUnlock(achievement);
+        }
+      }
+    });
+  }
+
+  return {
+    achievements,
+    normalize,
+    track,
+  };
+});
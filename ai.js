@@ -0,0 +1,326 @@
+/*
+ * Computer-controlled snakes.
+ * A bot reads the same engine state `step` advances and answers with the
+ * direction one snake should take next; the caller feeds that to `turn` like
+ * any other input (so replays record bot moves as plain turns). Moves follow
+ * the engine's own rules for walls, wrap-around edges and portals, and power-ups
+ * marked as `food` in the registry (bombs, which burst into apples) count as food.
+ * Poison apples and patrols are avoided like bodies.
+ * Global `SnakeAI` in the page, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine.js"));
+  } else {
+    root.SnakeAI = factory(root.SnakeEngine);
+  }
+})(typeof self !== "undefined" ? self : this, function (SnakeEngine) {
+  "use strict";
+
+  const directions = [
+    { x: 1, y: 0 },
+    { x: 0, y: 1 },
+    { x: -1, y: 0 },
+    { x: 0, y: -1 },
+  ];
+
+  const key = (state, pos) => pos.y * state.config.width + pos.x;
+
+  function inBounds(state, pos) {
+    return pos.x >= 0 && pos.y >= 0 && pos.x < state.config.width && pos.y < state.config.height;
+  }
+
+  // Cells taken by snake bodies (tails included: the engine checks collisions before a tail moves
+  // on), plus the hazards: poison apples, patrols and the cells they are headed for.
+  function blockedCells(state) {
+    const cells = new Set();
+    for (const snake of state.snakes) {
+      if (snake.alive) for (const seg of snake.body) cells.add(key(state, seg));
+    }
+    for (const p of state.poison) cells.add(key(state, p));
+    for (const p of state.patrols) {
+      cells.add(key(state, p));
+      const next = { x: p.x + p.dx, y: p.y + p.dy };
+      if (inBounds(state, next)) cells.add(key(state, next));
+    }
+    return cells;
+  }
+
+  // Patrols move before the snakes do, and one that bounces may step onto any cell around it:
+  // next to where a patrol is or is headed, a head may be run over on the following tick.
+  function nearPatrol(state, pos) {
+    return state.patrols.some((p) =>
+      [0, 1].some((ahead) => Math.abs(p.x + p.dx * ahead - pos.x) <= 1 && Math.abs(p.y + p.dy * ahead - pos.y) <= 1)
+    );
+  }
+
+  function isOpen(state, blocked, pos) {
+    return inBounds(state, pos) && !SnakeEngine.isWall(state, pos) && !blocked.has(key(state, pos));
+  }
+
+  // Directions that don't reverse and don't crash on the next tick, with where they lead
+  function safeMoves(state, snake, blocked) {
+    const moves = [];
+    for (const dir of directions) {
+      if (dir.x === -snake.direction.x && dir.y === -snake.direction.y) continue;
+      const to = SnakeEngine.moveCell(state, snake.body[0], dir);
+      if (isOpen(state, blocked, to)) moves.push({ dir, to });
+    }
+    // stay clear of cells another head could also enter this tick, and of patrols
+    const otherHeads = state.snakes.filter((other) => other !== snake && other.alive);
+    const calm = moves.filter(
+      (m) =>
+        !nearPatrol(state, m.to) &&
+        !otherHeads.some((other) =>
+          directions.some((d) => {
+            const next = SnakeEngine.moveCell(state, other.body[0], d);
+            return next.x === m.to.x && next.y === m.to.y;
+          })
+        )
+    );
+    return calm.length ? calm : moves;
+  }
+
+  function targets(state) {
+    const food = state.items.filter((item) => {
+      const entry = SnakeEngine.powerUp(item.type);
+      return entry && entry.food;
+    });
+    return food.length ? state.apples.concat(food) : state.apples;
+  }
+
+  // Grid distance that knows about wrap-around edges (portals are left to the pathfinder)
+  function distance(state, a, b) {
+    let dx = Math.abs(a.x - b.x);
+    let dy = Math.abs(a.y - b.y);
+    if (state.config.walls === "wrap") {
+      dx = Math.min(dx, state.config.width - dx);
+      dy = Math.min(dy, state.config.height - dy);
+    }
+    return dx + dy;
+  }
+
+  // Breadth-first search from `from` (every move costs the same, so this is A* without a heuristic).
+  // Returns the path to the first cell `isGoal` accepts, excluding `from`, or null. The goal
+  // itself may be a blocked cell, e.g. a tail that will have moved on by the time we get there.
+  function findPath(state, from, blocked, isGoal) {
+    const start = key(state, from);
+    const cameFrom = new Map([[start, null]]);
+    const queue = [from];
+    for (let i = 0; i < queue.length; i++) {
+      for (const dir of directions) {
+        const next = SnakeEngine.moveCell(state, queue[i], dir);
+        const k = key(state, next);
+        if (cameFrom.has(k) || !inBounds(state, next)) continue;
+        if (isGoal(next)) {
+          const path = [next];
+          for (let p = queue[i]; key(state, p) !== start; p = cameFrom.get(key(state, p))) path.unshift(p);
+          return path;
+        }
+        if (!isOpen(state, blocked, next)) continue;
+        cameFrom.set(k, queue[i]);
+        queue.push(next);
+      }
+    }
+    return null;
+  }
+
+  // How many cells can be reached from `from`
+  function openArea(state, from, blocked, limit) {
+    const seen = new Set([key(state, from)]);
+    const queue = [from];
+    for (let i = 0; i < queue.length && seen.size < limit; i++) {
+      for (const dir of directions) {
+        const next = SnakeEngine.moveCell(state, queue[i], dir);
+        const k = key(state, next);
+        if (seen.has(k) || !isOpen(state, blocked, next)) continue;
+        seen.add(k);
+        queue.push(next);
+      }
+    }
+    return seen.size;
+  }
+
+  // Heads for the nearest food, ignoring what happens after that
+  function greedy(state, player) {
+    const snake = state.snakes[player];
+    const moves = safeMoves(state, snake, blockedCells(state));
+    if (!moves.length) return snake.direction;
+    const food = targets(state);
+    const score = (m) => Math.min(...food.map((f) => distance(state, m.to, f)));
+    let best = moves[0];
+    for (const m of moves) if (score(m) < score(best)) best = m;
+    return best.dir;
+  }
+
+  // Would the snake still reach its own tail after walking `path` and eating at its end?
+  function leavesWayOut(state, snake, path, blocked) {
+    const body = snake.body.slice();
+    for (let i = 0; i < path.length; i++) {
+      body.unshift(path[i]);
+      if (i < path.length - 1) body.pop();
+    }
+    const virtual = new Set(blocked);
+    for (const seg of snake.body) virtual.delete(key(state, seg));
+    for (const seg of body) virtual.add(key(state, seg));
+    const tail = body[body.length - 1];
+    const toTail = findPath(state, body[0], virtual, (p) => p.x === tail.x && p.y === tail.y);
+    return toTail !== null && toTail.length > 1; // stepping straight onto the tail would still be a crash
+  }
+
+  // Shortest path to food, taken only when it doesn't end in a trap; otherwise it
+  // chases its own tail, or failing that heads for the most open space.
+  function pathfinder(state, player) {
+    const snake = state.snakes[player];
+    const blocked = blockedCells(state);
+    const moves = safeMoves(state, snake, blocked);
+    if (!moves.length) return snake.direction;
+    const food = targets(state);
+    const isFood = (p) => food.some((f) => f.x === p.x && f.y === p.y);
+    const path = findPath(state, snake.body[0], blocked, isFood);
+    if (path) {
+      const first = moves.find((m) => m.to.x === path[0].x && m.to.y === path[0].y);
+      if (first && leavesWayOut(state, snake, path, blocked)) return first.dir;
+    }
+    const tail = snake.body[snake.body.length - 1];
+    const toTail = findPath(state, snake.body[0], blocked, (p) => p.x === tail.x && p.y === tail.y);
+    if (toTail && toTail.length > 1 && snake.body.length > 3) {
+      const first = moves.find((m) => m.to.x === toTail[0].x && m.to.y === toTail[0].y);
+      if (first) return first.dir;
+    }
+    const limit = state.config.width * state.config.height;
+    let best = moves[0];
+    let bestArea = -1;
+    for (const m of moves) {
+      const area = openArea(state, m.to, blocked, limit);
+      if (area > bestArea) {
+        best = m;
+        bestArea = area;
+      }
+    }
+    return best.dir;
+  }
+
+  // A cycle through the board: along the top row, serpentine back through the other
+  // columns, then up column 0. That needs an even height (or, transposed, an even
+  // width); on odd × odd boards, which have no cycle through every cell, the bottom two
+  // rows are zigzagged column by column instead, which covers every cell but the
+  // bottom-left corner. Returns the cells in cycle order.
+  function buildCycle(w, h, cell) {
+    const cells = [];
+    for (let x = 0; x < w; x++) cells.push(cell(x, 0));
+    const serpentineRows = h % 2 === 0 ? h : h - 2;
+    for (let y = 1; y < serpentineRows; y++) {
+      if (y % 2 === 1) for (let x = w - 1; x >= 1; x--) cells.push(cell(x, y));
+      else for (let x = 1; x < w; x++) cells.push(cell(x, y));
+    }
+    if (h % 2 === 1) {
+      for (let x = w - 1; x >= 1; x--) {
+        const down = (w - 1 - x) % 2 === 0;
+        cells.push(cell(x, down ? h - 2 : h - 1), cell(x, down ? h - 1 : h - 2));
+      }
+    }
+    for (let y = h % 2 === 0 ? h - 1 : h - 2; y >= 1; y--) cells.push(cell(0, y));
+    return cells;
+  }
+
+  // The cycle as { order, index }: its cells in order, and cell key → position on it.
+  // The corner an odd board's cycle skips shares its position with the cell diagonally
+  // inside it: the cycle comes down column 1 to the bottom row and turns up column 0,
+  // and it can go through either of those two on the way, so the corner is never out of reach.
+  const cycleCache = new Map();
+  function hamiltonianCycle(width, height) {
+    const id = `${width}x${height}`;
+    if (!cycleCache.has(id)) {
+      const order =
+        height % 2 === 0 || width % 2 === 1
+          ? buildCycle(width, height, (x, y) => ({ x, y }))
+          : buildCycle(height, width, (y, x) => ({ x, y }));
+      const index = new Map();
+      order.forEach((p, i) => index.set(p.y * width + p.x, i));
+      if (width % 2 === 1 && height % 2 === 1 && width > 1 && height > 1) {
+        index.set((height - 1) * width, index.get((height - 2) * width + 1));
+      }
+      cycleCache.set(id, { order, index });
+    }
+    return cycleCache.get(id);
+  }
+
+  // Would following the cycle from the head stay clear of the body until all of it has moved
+  // onto the cycle? Segment i leaves its cell after body.length - i moves; until then the
+  // head can't enter it (the tail's cell included, as in blockedCells).
+  function cycleClear(state, body, order, index) {
+    const segment = new Map(body.map((seg, i) => [key(state, seg), i]));
+    const from = index.get(key(state, body[0]));
+    for (let k = 1; k < body.length; k++) {
+      const i = segment.get(key(state, order[(from + k) % order.length]));
+      if (i !== undefined && i <= body.length - k) return false;
+    }
+    return true;
+  }
+
+  // Follows a cycle through the whole board, which can never trap it, and cuts ahead
+  // along it when the shortcut still lands short of its own tail. Falls back to the
+  // pathfinder on mazes (walls, portals and patrols break the cycle). While its body is
+  // out of cycle order (at the start of a level, after a respawn) it gets back onto the
+  // cycle as soon as following it is sure to stay clear of the body, and uses the
+  // pathfinder until then.
+  function hamiltonian(state, player) {
+    const { width, height, level } = state.config;
+    const maze = level && (level.walls.length || level.portals.length);
+    if (maze || state.patrols.length) return pathfinder(state, player);
+    const { order, index: cycle } = hamiltonianCycle(width, height);
+    const size = order.length;
+    const snake = state.snakes[player];
+    const { body } = snake;
+    const head = body[0];
+    const along = (from, to) => (cycle.get(key(state, to)) - cycle.get(key(state, from)) + size) % size;
+    const moves = safeMoves(state, snake, blockedCells(state)).filter((m) => {
+      // only real neighbours: wrapping across an edge is not part of the cycle
+      return Math.abs(m.to.x - head.x) + Math.abs(m.to.y - head.y) === 1;
+    });
+    // in order when walking the cycle from tail to head passes every segment exactly once
+    let span = 0;
+    for (let i = body.length - 1; i > 0; i--) span += along(body[i], body[i - 1]);
+    if (span >= size) {
+      const rejoin = moves.find((m) => along(head, m.to) === 1);
+      return rejoin && cycleClear(state, body, order, cycle) ? rejoin.dir : pathfinder(state, player);
+    }
+    const food = targets(state);
+    if (!food.length && body.length < size / 2) return pathfinder(state, player);
+    if (!moves.length) return pathfinder(state, player);
+
+    const isFood = (p) => food.some((f) => f.x === p.x && f.y === p.y);
+    // (food on the corner's twin while the head is on the other is a whole lap away)
+    const nearestFood = food.length ? Math.min(...food.map((f) => along(head, f) || size)) : 1;
+    const room = along(head, body[body.length - 1]); // free cycle cells ahead, up to the tail
+    const canCut = body.length + 4 < size / 2;
+    let best = null;
+    for (const m of moves) {
+      const step = along(head, m.to);
+      // the cycle itself; where it may go either way around the corner, the way with food on it
+      if (step === 1 && (!best || isFood(m.to))) best = m;
+      // short of the tail by enough for every apple on the board: eating one keeps the tail where it is
+      if (!canCut || step + food.length >= room || step > nearestFood) continue;
+      if (step === nearestFood && !isFood(m.to)) continue; // the corner's twin, with the food on the corner
+      if (!best || step > along(head, best.to)) best = m;
+    }
+    return (best || moves[0]).dir;
+  }
+
+  const strategies = {
+    greedy: { name: "Greedy", next: greedy },
+    pathfinder: { name: "Pathfinder", next: pathfinder },
+    hamiltonian: { name: "Hamiltonian", next: hamiltonian },
+  };
+
+  /** The direction the named strategy picks for `state.snakes[player]`. */
+  function nextDirection(strategy, state, player) {
+    return (strategies[strategy] || strategies.greedy).next(state, player);
+  }
+
+  return {
+    strategies,
+    nextDirection,
+  };
+});
@@ -0,0 +1,252 @@
+/*
+ * Sound.
+ * A small WebAudio mixer: sound effects and music each have their own bus, both go
+ * through a compressor into the master volume. Effects are lists of voices — an
+ * oscillator (or filtered noise) shaped by an attack/decay/sustain/release envelope,
+ * optionally gliding from `frequency` to `to` — that all start together unless a voice
+ * has a `delayMs`. Notes are stopped on the audio clock, so timing never depends on
+ * timers. The music is generated as it plays: a four-chord loop with a bass line, an
+ * arpeggio and hi-hats, one step per `stepMs`, scheduled a little ahead.
+ * Without WebAudio (or in Node) every method quietly does nothing.
+ * Global `SnakeAudio` in the page, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnakeAudio = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /** A plain voice: one tone with a short click-free envelope. */
+  function tone(frequency, durationMs, wave = "sine", gain = 0.03) {
+    return { wave, frequency, durationMs, gain };
+  }
+
+  // Envelope-shaped effects, by the game event that plays them
+  const presets = {
+    eat: [
+      { wave: "triangle", frequency: 660, to: 990, durationMs: 60, gain: 0.05, attackMs: 3, releaseMs: 60 },
+      { wave: "sine", frequency: 1320, delayMs: 45, durationMs: 50, gain: 0.025, releaseMs: 80 },
+    ],
+    bomb: [
+      {
+        wave: "noise",
+        frequency: 1800,
+        to: 200,
+        durationMs: 320,
+        gain: 0.14,
+        attackMs: 2,
+        decayMs: 120,
+        sustain: 0.4,
+        releaseMs: 260,
+      },
+      { wave: "sine", frequency: 120, to: 40, durationMs: 280, gain: 0.09, attackMs: 2, releaseMs: 200 },
+    ],
+    magnet: [
+      { wave: "sine", frequency: 900, to: 600, durationMs: 140, gain: 0.05, releaseMs: 80 },
+      { wave: "triangle", frequency: 450, to: 900, delayMs: 60, durationMs: 160, gain: 0.035, releaseMs: 120 },
+    ],
+    rocket: [
+      { wave: "sawtooth", frequency: 200, to: 1200, durationMs: 320, gain: 0.035, attackMs: 20, releaseMs: 120 },
+      { wave: "noise", filter: "bandpass", frequency: 800, to: 3000, durationMs: 300, gain: 0.05, releaseMs: 150 },
+    ],
+    death: [
+      {
+        wave: "sawtooth",
+        frequency: 330,
+        to: 55,
+        durationMs: 520,
+        gain: 0.06,
+        decayMs: 200,
+        sustain: 0.6,
+        releaseMs: 300,
+      },
+      { wave: "square", frequency: 165, to: 40, delayMs: 80, durationMs: 440, gain: 0.03, releaseMs: 260 },
+      { wave: "noise", frequency: 600, to: 100, durationMs: 360, gain: 0.05, releaseMs: 240 },
+    ],
+  };
+
+  // The music: A minor, Am–F–C–G, chords as semitones from A3
+  const progression = [
+    [0, 3, 7],
+    [-4, 0, 3],
+    [3, 7, 10],
+    [-2, 2, 5],
+  ];
+  const stepsPerBar = 8;
+  const arpeggio = [0, 1, 2, 1, 0, 2, 1, 2]; // chord tone per step
+  const lookaheadS = 0.12; // how far ahead notes are scheduled
+  const schedulerMs = 25; // how often the scheduler wakes up
+
+  const pitch = (semitones, octave = 0) => 220 * Math.pow(2, semitones / 12 + octave);
+
+  /**
+   * The mixer for one page. `AudioContextClass` is the page's AudioContext (or nothing,
+   * for silence). Volumes are 0–1; the master volume also covers muting.
+   */
+  function createAudio(AudioContextClass) {
+    const ctx = typeof AudioContextClass === "function" ? new AudioContextClass() : null;
+    const levels = { master: 1, music: 0.5, sfx: 1 };
+    let enabled = true;
+    let hidden = false;
+    let master, sfxBus, musicBus, noiseBuffer;
+    if (ctx) {
+      master = ctx.createGain();
+      const compressor = ctx.createDynamicsCompressor();
+      compressor.threshold.value = -18;
+      compressor.ratio.value = 4;
+      sfxBus = ctx.createGain();
+      musicBus = ctx.createGain();
+      sfxBus.connect(compressor);
+      musicBus.connect(compressor);
+      compressor.connect(master).connect(ctx.destination);
+    }
+
+    // A second of white noise, looped by noise voices
+    function noise() {
+      if (!noiseBuffer) {
+        noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+      }
+      const source = ctx.createBufferSource();
+      source.buffer = noiseBuffer;
+      source.loop = true;
+      return source;
+    }
+
+    // Plays one voice into `bus`, starting at `at` (audio clock seconds)
+    function playVoice(voice, bus, at) {
+      const { attackMs = 5, decayMs = 0, sustain = 1, releaseMs = 40 } = voice;
+      const start = at + (voice.delayMs || 0) / 1000;
+      const hold = start + Math.max(voice.durationMs / 1000, (attackMs + decayMs) / 1000);
+      const end = hold + releaseMs / 1000;
+      const envelope = ctx.createGain();
+      envelope.gain.setValueAtTime(0, start);
+      envelope.gain.linearRampToValueAtTime(voice.gain, start + attackMs / 1000);
+      if (decayMs) envelope.gain.linearRampToValueAtTime(voice.gain * sustain, start + (attackMs + decayMs) / 1000);
+      envelope.gain.setValueAtTime(voice.gain * sustain, hold);
+      envelope.gain.linearRampToValueAtTime(0, end);
+      let source, shaped;
+      if (voice.wave === "noise") {
+        // noise has no pitch: `frequency` (and `to`) set the filter instead
+        source = noise();
+        shaped = ctx.createBiquadFilter();
+        shaped.type = voice.filter || "lowpass";
+        shaped.frequency.setValueAtTime(voice.frequency, start);
+        if (voice.to) shaped.frequency.exponentialRampToValueAtTime(voice.to, hold);
+        source.connect(shaped);
+      } else {
+        source = shaped = ctx.createOscillator();
+        source.type = voice.wave;
+        source.frequency.setValueAtTime(voice.frequency, start);
+        if (voice.to) source.frequency.exponentialRampToValueAtTime(voice.to, hold);
+      }
+      shaped.connect(envelope).connect(bus);
+      source.onended = () => {
+        source.disconnect();
+        if (shaped !== source) shaped.disconnect();
+        envelope.disconnect();
+      };
+      source.start(start);
+      source.stop(end + 0.01);
+    }
+
+    function updateMaster() {
+      const volume = enabled && !hidden ? levels.master : 0;
+      master.gain.setTargetAtTime(volume, ctx.currentTime, 0.02); // a quick fade instead of a click
+    }
+
+    // Music scheduling
+    let musicTimer = null;
+    let stepMs = 200;
+    let step = 0;
+    let nextStepS = 0;
+
+    function playStep(at) {
+      const chord = progression[Math.floor(step / stepsPerBar) % progression.length];
+      const beat = step % stepsPerBar;
+      const stepS = stepMs / 1000;
+      if (beat % 4 === 0) {
+        const bass = { wave: "triangle", frequency: pitch(chord[0], -2), durationMs: stepMs * 1.8, gain: 0.07 };
+        playVoice(Object.assign(bass, { attackMs: 8, releaseMs: 120 }), musicBus, at);
+      }
+      if (Math.random() >= 0.12) {
+        // a few rests and octave jumps keep the loop from repeating exactly
+        const octave = Math.random() < 0.25 ? 1 : 0;
+        const note = tone(pitch(chord[arpeggio[beat]], octave), stepMs * 0.6, "square", 0.012);
+        playVoice(Object.assign(note, { attackMs: 4, releaseMs: Math.min(120, stepMs * 0.4) }), musicBus, at);
+      }
+      if (beat % 2 === 1) {
+        const hat = { wave: "noise", filter: "highpass", frequency: 7000, durationMs: 15, gain: 0.02, releaseMs: 30 };
+        playVoice(hat, musicBus, at + stepS * 0.02);
+      }
+      step += 1;
+    }
+
+    function scheduleMusic() {
+      if (nextStepS < ctx.currentTime) nextStepS = ctx.currentTime + 0.02; // after a stall, catch up by skipping
+      while (nextStepS < ctx.currentTime + lookaheadS) {
+        playStep(nextStepS);
+        nextStepS += stepMs / 1000;
+      }
+    }
+
+    if (ctx) updateMaster();
+
+    return {
+      /** Starts the audio clock; browsers only allow it after the player has pressed or tapped something. */
+      resume() {
+        if (ctx && ctx.state === "suspended" && !hidden) ctx.resume();
+      },
+      /** Sets `master`, `music` and `sfx` (any of them, 0–1). */
+      setVolumes(volumes) {
+        Object.assign(levels, volumes);
+        if (!ctx) return;
+        sfxBus.gain.setTargetAtTime(levels.sfx, ctx.currentTime, 0.02);
+        musicBus.gain.setTargetAtTime(levels.music, ctx.currentTime, 0.02);
+        updateMaster();
+      },
+      /** Sound on or off altogether. */
+      setEnabled(on) {
+        enabled = on;
+        if (ctx) updateMaster();
+      },
+      /** Mutes while the page is hidden, and lets the audio clock sleep. */
+      setHidden(isHidden) {
+        hidden = isHidden;
+        if (!ctx) return;
+        updateMaster();
+        if (hidden && ctx.state === "running") ctx.suspend();
+        else if (!hidden && ctx.state === "suspended") ctx.resume();
+      },
+      /** Plays an effect (a list of voices) now. */
+      play(voices) {
+        if (!ctx || !enabled || hidden) return;
+        for (const voice of voices) playVoice(voice, sfxBus, ctx.currentTime);
+      },
+      /** Starts or stops the music; `stepMs` is its tempo, one arpeggio note per step. */
+      setMusic(playing, newStepMs) {
+        if (!ctx) return;
+        if (newStepMs > 0) stepMs = newStepMs;
+        const wanted = playing && enabled && levels.music > 0;
+        if (wanted && !musicTimer) {
+          step = 0;
+          nextStepS = ctx.currentTime + 0.05;
+          musicTimer = setInterval(scheduleMusic, schedulerMs);
+        } else if (!wanted && musicTimer) {
+          clearInterval(musicTimer);
+          musicTimer = null;
+        }
+      },
+    };
+  }
+
+  return {
+    tone,
+    presets,
+    createAudio,
+  };
+});
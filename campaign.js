@@ -0,0 +1,168 @@
+/*
+ * Campaign stages and their goals.
+ * Each stage fixes the rules (board or maze, walls, speed) and a goal the run
+ * has to reach. `evaluate` checks a goal against an engine state and `rate`
+ * turns a cleared stage into 1–3 stars: goals with a target finish earn stars
+ * for speed (`stars` are seconds), survival goals for score (`stars` are points).
+ * Global `SnakeCampaign` in the page, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./levels.js"));
+  } else {
+    root.SnakeCampaign = factory(root.SnakeLevels);
+  }
+})(typeof self !== "undefined" ? self : this, function (SnakeLevels) {
+  "use strict";
+
+  const goalTypes = {
+    apples: { label: (n) => `Eat ${n} apples`, value: (state) => state.snakes[0].stats.apples },
+    length: { label: (n) => `Reach length ${n}`, value: (state) => state.snakes[0].body.length },
+    survive: { label: (n) => `Survive ${n}s`, value: (state) => Math.floor(state.timeMs / 1000) },
+    score: { label: (n) => `Score ${n}`, value: (state) => state.snakes[0].score },
+  };
+
+  // rules: engine config for the stage; `level` names a built-in maze. Score goals and star
+  // thresholds are counted in flat points (10 an apple), so stages score that way unless they say otherwise.
+  const stages = [
+    {
+      id: 1,
+      name: "First bites",
+      goal: { type: "apples", target: 10 },
+      rules: { width: 25, height: 25, walls: "wrap", tickMs: 260 },
+      stars: [60, 40],
+    },
+    {
+      id: 2,
+      name: "Hungry",
+      goal: { type: "apples", target: 20 },
+      rules: { width: 25, height: 25, walls: "wrap", tickMs: 210 },
+      stars: [90, 60],
+    },
+    {
+      id: 3,
+      name: "Boxed in",
+      goal: { type: "length", target: 20 },
+      rules: { level: "box", tickMs: 210 },
+      stars: [80, 45],
+    },
+    {
+      id: 4,
+      name: "Pillars",
+      goal: { type: "survive", target: 60 },
+      rules: { level: "pillars", tickMs: 210 },
+      stars: [150, 250],
+    },
+    {
+      id: 5,
+      name: "Clean eater",
+      goal: { type: "score", target: 300, noPowerUps: true },
+      rules: { width: 25, height: 25, walls: "solid", tickMs: 210 },
+      stars: [120, 90],
+    },
+    {
+      id: 6,
+      name: "Crossroads",
+      goal: { type: "apples", target: 25 },
+      rules: { level: "cross", tickMs: 190 },
+      stars: [150, 110],
+    },
+    {
+      id: 7,
+      name: "Long haul",
+      goal: { type: "length", target: 30 },
+      rules: { width: 15, height: 15, walls: "solid", tickMs: 210 },
+      stars: [200, 150],
+    },
+    {
+      id: 8,
+      name: "Portal run",
+      goal: { type: "survive", target: 90 },
+      rules: { level: "portals", tickMs: 180 },
+      stars: [250, 400],
+    },
+    {
+      id: 9,
+      name: "Lanes",
+      goal: { type: "score", target: 400 },
+      rules: { level: "lanes", tickMs: 180 },
+      stars: [180, 130],
+    },
+    {
+      id: 10,
+      name: "Purist",
+      goal: { type: "score", target: 500, noPowerUps: true },
+      rules: { level: "arena", tickMs: 170 },
+      stars: [240, 180],
+    },
+    {
+      id: 11,
+      name: "Sentries",
+      goal: { type: "apples", target: 20 },
+      rules: { level: "sentries", tickMs: 190 },
+      stars: [150, 100],
+    },
+  ];
+
+  function getStage(id) {
+    return stages.find((s) => s.id === Number(id)) || null;
+  }
+
+  /** Human-readable goal, e.g. "Score 500 without a power-up". */
+  function describe(goal) {
+    const text = goalTypes[goal.type].label(goal.target);
+    return goal.noPowerUps ? `${text} without a power-up` : text;
+  }
+
+  /** Engine config for a stage run. */
+  function stageConfig(stage, seed) {
+    const config = Object.assign({ scoring: "flat" }, stage.rules, { seed });
+    config.level = stage.rules.level ? SnakeLevels.getBuiltIn(stage.rules.level) : null;
+    return config;
+  }
+
+  /**
+   * Checks a stage goal against the current state. `failed` is set (with a
+   * `reason`) once the goal can no longer be reached in this run.
+   */
+  function evaluate(stage, state) {
+    const { goal } = stage;
+    const value = Math.min(goalTypes[goal.type].value(state), goal.target);
+    const result = { value, target: goal.target, complete: false, failed: false, reason: "" };
+    if (goal.noPowerUps && state.snakes[0].stats.powerUps > 0) {
+      result.failed = true;
+      result.reason = "Picked up a power-up";
+    } else if (state.over) {
+      result.failed = true;
+      result.reason = "Crashed";
+    } else {
+      result.complete = value >= goal.target;
+    }
+    return result;
+  }
+
+  /** Stars (1–3) for a cleared stage. */
+  function rate(stage, state) {
+    const [two, three] = stage.stars;
+    const { score } = state.snakes[0];
+    if (stage.goal.type === "survive") return score >= three ? 3 : score >= two ? 2 : 1;
+    const seconds = state.timeMs / 1000;
+    return seconds <= three ? 3 : seconds <= two ? 2 : 1;
+  }
+
+  /** A stage opens once the one before it has been cleared. `progress.stars` maps stage id → best stars. */
+  function isUnlocked(stage, progress) {
+    const index = stages.indexOf(stage);
+    return index === 0 || (index > 0 && (progress.stars[stages[index - 1].id] || 0) > 0);
+  }
+
+  return {
+    stages,
+    getStage,
+    describe,
+    stageConfig,
+    evaluate,
+    rate,
+    isUnlocked,
+  };
+});
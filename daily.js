@@ -0,0 +1,133 @@
+/*
+ * Daily challenge.
+ * Every calendar day has one seed, derived from the date, and one fixed set of
+ * rules, so everyone gets the same apples and power-ups that day. Attempts are
+ * unlimited; the best one is the day's result. The history is plain JSON —
+ * date → { best, length, durationMs, attempts } — for the page to keep in
+ * localStorage; streaks count consecutive days with at least one attempt.
+ * Global `SnakeDaily` in the page, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnakeDaily = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Normal speed, solid walls, the classic board
+  const rules = { width: 25, height: 25, walls: "solid", tickMs: 210 };
+  const firstDay = "2026-01-01"; // challenge #1
+
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  /** "YYYY-MM-DD" for a date, in local time: the day rolls over at the player's midnight. */
+  function dateKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // Whole days between two keys (calendar arithmetic in UTC so DST changes don't matter)
+  function daysBetween(fromKey, toKey) {
+    const utc = (key) => Date.UTC(...key.split("-").map((n, i) => Number(n) - (i === 1 ? 1 : 0)));
+    return Math.round((utc(toKey) - utc(fromKey)) / dayMs);
+  }
+
+  function addDays(key, days) {
+    const [y, m, d] = key.split("-").map(Number);
+    return dateKey(new Date(y, m - 1, d + days));
+  }
+
+  /** The challenge number, counting from `firstDay`. */
+  function number(key) {
+    return daysBetween(firstDay, key) + 1;
+  }
+
+  /** The day's seed: FNV-1a of the date key, the same on every device. */
+  function seedFor(key) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+      hash ^= key.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /** Engine config for the day's challenge. */
+  function config(key) {
+    return Object.assign({ seed: seedFor(key) }, rules);
+  }
+
+  /**
+   * Adds a finished attempt to the history. Returns the day's record and whether
+   * this attempt became its best.
+   */
+  function recordAttempt(history, key, state) {
+    const snake = state.snakes[0];
+    const day = (history[key] = history[key] || { best: 0, length: 0, durationMs: 0, attempts: 0 });
+    day.attempts += 1;
+    const isBest = day.attempts === 1 || snake.score > day.best;
+    if (isBest) Object.assign(day, { best: snake.score, length: snake.body.length, durationMs: state.timeMs });
+    return { day, isBest };
+  }
+
+  /**
+   * Current and longest streak of played days. Today doesn't break the current
+   * streak before it has been played; it just doesn't add to it yet.
+   */
+  function streaks(history, today = dateKey()) {
+    const days = Object.keys(history)
+      .filter((key) => history[key].attempts > 0 && key <= today)
+      .sort();
+    let longest = 0;
+    let run = 0;
+    days.forEach((key, i) => {
+      run = i > 0 && daysBetween(days[i - 1], key) === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    });
+    let current = 0;
+    const last = days[days.length - 1];
+    if (last && daysBetween(last, today) <= 1) current = run;
+    return { current, longest };
+  }
+
+  /** The weeks (Monday first) of a month as arrays of date keys, with null for days outside it. */
+  function monthGrid(year, month) {
+    const first = new Date(year, month, 1);
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const cells = new Array((first.getDay() + 6) % 7).fill(null);
+    for (let d = 1; d <= daysInMonth; d++) cells.push(dateKey(new Date(year, month, d)));
+    while (cells.length % 7) cells.push(null);
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+    return weeks;
+  }
+
+  /** A spoiler-free summary of the day's result to paste into a chat. */
+  function shareText(key, day, streak, url) {
+    const seconds = Math.floor(day.durationMs / 1000);
+    const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+    const lines = [
+      `🐍 Snake Daily #${number(key)} (${key})`,
+      `🍎 ${day.best} points · length ${day.length} · ${time}`,
+      `🔁 ${day.attempts} ${day.attempts === 1 ? "attempt" : "attempts"}` +
+        (streak > 1 ? ` · 🔥 ${streak}-day streak` : ""),
+    ];
+    if (url) lines.push(url);
+    return lines.join("\n");
+  }
+
+  return {
+    rules,
+    dateKey,
+    addDays,
+    number,
+    seedFor,
+    config,
+    recordAttempt,
+    streaks,
+    monthGrid,
+    shareText,
+  };
+});
@@ -0,0 +1,1136 @@
+/*
+ * Headless Snake engine.
+ * All game rules live here: no DOM, canvas or audio. Time is counted in ticks
+ * of `tickMs` simulated milliseconds, so a run plays out the same no matter how
+ * fast it is stepped. Loads as a plain <script> (global `SnakeEngine`) or with
+ * require() under Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnakeEngine = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const defaults = {
+    width: 25,
+    height: 25,
+    walls: "wrap", // or 'solid'
+    tickMs: 210,
+    seed: 1,
+    level: null, // parsed level (see levels.js): interior walls, portals and start
+    players: 1, // snakes on the board; with more than one the last snake moving wins the round
+    rivals: 0, // extra computer-steered snakes: they respawn after crashing and never end the run
+    powerUps: null, // per-id tuning of the power-up registry, e.g. { magnet: { durationMs: 20000 }, rocket: false }
+    hazards: null, // poison apples, rotting apples and patrols (see hazardDefaults), e.g. { rotTicks: 150, patrols: 2 }
+    scoring: "combo", // or "flat": 10 points an apple and nothing more, as before combos (see scoreApple)
+    speedCurve: null, // ticks getting shorter as the run goes on (see speedCurveDefaults), e.g. { type: "apples" }
+    adaptive: false, // tune the speed and power-up odds to how well the players are doing (see adapt)
+    inputQueue: 3, // turns a snake can have waiting, one applied per tick; 1 keeps only the latest (see turn)
+    spawns: "fixed", // or "shared": apples and power-ups placed from the rules' one random stream (see spawnRandom)
+  };
+
+  // Speed curves by `type`: "apples" takes `stepMs` off the tick every `every` apples the players eat,
+  // "time" every `every` simulated seconds, never going below `minTickMs`. Anything else keeps one speed.
+  const speedCurveDefaults = {
+    apples: { every: 5, stepMs: 10, minTickMs: 80 },
+    time: { every: 30, stepMs: 10, minTickMs: 80 },
+  };
+  const fastestTickMs = 60; // adaptive mode's floor when there is no curve to give one
+
+  // Adaptive mode looks back every `adaptEveryTicks`: plenty of apples in that stretch makes the
+  // game a level faster and power-ups rarer, hardly any the reverse, up to `maxAdaptLevel` either way.
+  const adaptEveryTicks = 100;
+  const adaptFastApples = 6;
+  const adaptSlowApples = 2;
+  const adaptStepMs = 15;
+  const adaptPowerUpOdds = 0.8; // power-up chances are multiplied by this per level
+  const maxAdaptLevel = 4;
+
+  // Hazards are all off unless `config.hazards` turns them on; a level's own `hazards` win field by field.
+  //   poisonChance  odds per tick that a poison apple appears, while fewer than `poisonMax` are out
+  //   poisonMax     poison apples on the board at once
+  //   poisonPoints  what eating one costs (the score never drops below 0)
+  //   poisonCells   tail segments eating one cuts off, never below `minLength`
+  //   rotTicks      apples (poison ones too) disappear this many ticks after they appear; 0 keeps them
+  //   patrols       obstacles that bounce around the board and kill on contact: how many to place at
+  //                 random, or their starts as [{ x, y, dx, dy }] (dx, dy: -1, 0 or 1)
+  //   patrolEvery   patrols move one cell every this many ticks
+  const hazardDefaults = {
+    poisonChance: 0,
+    poisonMax: 2,
+    poisonPoints: 20,
+    poisonCells: 3,
+    rotTicks: 0,
+    patrols: 0,
+    patrolEvery: 2,
+  };
+
+  const magnetRadiusCells = 3; // how far we auto-eat
+  const rocketSpeedCells = 10; // cells per second
+  const rocketDropEveryMs = 250; // 40 drops over 10s
+  const shrinkCells = 5; // tail segments a shrink cuts off
+  const minLength = 3;
+  const rivalRespawnMs = 3000;
+  const comboWindowTicks = 12; // an apple within this many ticks of the last one keeps the combo going
+  const maxCombo = 10;
+  const riskPoints = 5; // for a near miss
+
+  // Helpers
+  const coordEq = (a, b) => a.x === b.x && a.y === b.y;
+
+  /**
+   * Normalizes a seed to an unsigned 32-bit integer. Numbers (or numeric
+   * strings) are used as-is; any other string is hashed (FNV-1a).
+   */
+  function hashSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+  }
+
+  // mulberry32: tiny, fast and good enough for a game; all its state is one uint32
+  function nextRandom(rngState) {
+    let t = (rngState + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), t | 1);
+    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+    return { rngState: t, value: ((r ^ (r >>> 14)) >>> 0) / 4294967296 };
+  }
+
+  /** Standalone generator for callers outside the rules (e.g. cosmetic effects). */
+  function createRng(seed) {
+    let rngState = hashSeed(seed);
+    return () => {
+      const next = nextRandom(rngState);
+      rngState = next.rngState;
+      return next.value;
+    };
+  }
+
+  // Every random decision in the rules goes through here, so a seed replays a run exactly.
+  function random(state) {
+    const next = nextRandom(state.rngState);
+    state.rngState = next.rngState;
+    return next.value;
+  }
+
+  // Apples and power-ups take their places from streams of their own, one per spawn, derived from
+  // the seed and how many of that kind came before: the Nth apple (or the Nth magnet) of a seed lands
+  // in the same place however the run went, unless that place is taken. With `spawns: "shared"`
+  // (replays from before there were streams) they draw from the rules' stream instead.
+  function spawnRandom(state, kind) {
+    if (state.config.spawns === "shared") return () => random(state);
+    return createRng(`${state.config.seed}:${kind}:${state.spawned[kind] || 0}`);
+  }
+
+  function randomCell(state, rand) {
+    return {
+      x: Math.floor(rand() * state.config.width),
+      y: Math.floor(rand() * state.config.height),
+    };
+  }
+
+  function isCellOccupiedBySnake(state, pos) {
+    return state.snakes.some((snake) => snake.alive && snake.body.some((s) => coordEq(s, pos)));
+  }
+
+  // Per-level lookup of wall and portal cells, keyed by `y * width + x`
+  const levelCellsCache = new WeakMap();
+  function levelCells(state) {
+    const level = state.config.level;
+    if (!level) return null;
+    let cells = levelCellsCache.get(level);
+    if (!cells) {
+      cells = new Map();
+      for (const w of level.walls) cells.set(w.y * level.width + w.x, { wall: true });
+      for (const p of level.portals) {
+        cells.set(p.a.y * level.width + p.a.x, { exit: p.b });
+        cells.set(p.b.y * level.width + p.b.x, { exit: p.a });
+      }
+      levelCellsCache.set(level, cells);
+    }
+    return cells;
+  }
+
+  function levelCellAt(state, pos) {
+    const cells = levelCells(state);
+    return cells ? cells.get(pos.y * state.config.width + pos.x) : undefined;
+  }
+
+  function isWall(state, pos) {
+    const cell = levelCellAt(state, pos);
+    return Boolean(cell && cell.wall);
+  }
+
+  /** Where a head entering `pos` comes out, or null if `pos` is not a portal. */
+  function portalExit(state, pos) {
+    const cell = levelCellAt(state, pos);
+    return cell && cell.exit ? cell.exit : null;
+  }
+
+  function isCellOccupied(state, pos) {
+    // walls and portals are never free for items
+    if (levelCellAt(state, pos)) return true;
+    if (isCellOccupiedBySnake(state, pos)) return true;
+    if (state.items.some((item) => coordEq(item, pos))) return true;
+    if (state.apples.some((a) => coordEq(a, pos))) return true;
+    if (state.poison.some((p) => coordEq(p, pos))) return true;
+    if (state.patrols.some((p) => coordEq(p, pos))) return true;
+    return false;
+  }
+
+  // A random free cell, or null when the board is full
+  function randomEmptyCellTotal(state, rand = () => random(state)) {
+    for (let tries = 0; tries < 1000; tries++) {
+      const candidate = randomCell(state, rand);
+      if (!isCellOccupied(state, candidate)) return candidate;
+    }
+    // nearly full board: pick from what is left instead of guessing
+    const free = [];
+    for (let y = 0; y < state.config.height; y++) {
+      for (let x = 0; x < state.config.width; x++) if (!isCellOccupied(state, { x, y })) free.push({ x, y });
+    }
+    return free.length ? free[Math.floor(rand() * free.length)] : null;
+  }
+
+  // The apple that keeps the board stocked goes on a free level spawn point when there is one
+  function spawnApple(state) {
+    const level = state.config.level;
+    const rand = spawnRandom(state, "apple");
+    const free = level && level.spawns ? level.spawns.filter((p) => !isCellOccupied(state, p)) : [];
+    const pos = free.length ? free[Math.floor(rand() * free.length)] : randomEmptyCellTotal(state, rand);
+    if (!pos) return;
+    addApple(state, state.apples, pos);
+    state.spawned.apple = (state.spawned.apple || 0) + 1;
+  }
+
+  /** A hazard setting for this run: the level's, else the config's, else the default. */
+  function hazard(state, field) {
+    const level = state.config.level;
+    if (level && level.hazards && level.hazards[field] !== undefined) return level.hazards[field];
+    const hazards = state.config.hazards;
+    return hazards && hazards[field] !== undefined ? hazards[field] : hazardDefaults[field];
+  }
+
+  // Apples note the tick they rot on while rotting is on
+  function addApple(state, list, pos) {
+    const apple = { x: pos.x, y: pos.y };
+    const rotTicks = hazard(state, "rotTicks");
+    if (rotTicks > 0) apple.rotAt = state.tick + rotTicks;
+    list.push(apple);
+  }
+
+  function wrapCell(state, pos) {
+    const { width, height } = state.config;
+    return { x: (pos.x + width) % width, y: (pos.y + height) % height };
+  }
+
+  function inBounds(state, pos) {
+    return pos.x >= 0 && pos.y >= 0 && pos.x < state.config.width && pos.y < state.config.height;
+  }
+
+  function farFromHead(state, pos) {
+    if (!pos) return false;
+    return state.snakes.every((snake) => {
+      const head = snake.body[0];
+      return !snake.alive || Math.hypot(pos.x - head.x, pos.y - head.y) > 4;
+    });
+  }
+
+  function createSnake(start, dir, rival) {
+    return {
+      rival, // steered by a bot (see ai.js) rather than a player
+      body: [0, 1, 2].map((i) => ({ x: start.x - dir.x * i, y: start.y - dir.y * i })),
+      direction: { x: dir.x, y: dir.y },
+      turns: [], // directions queued by `turn`, the next one first
+      alive: true,
+      score: 0,
+      stats: { apples: 0, powerUps: 0 }, // apples eaten and power-ups picked up this run
+      points: {}, // where the score came from: source → points (see scoreApple), adding up to `score`
+      combo: 0, // apples in the current combo
+      comboUntil: 0, // the last tick the next apple still adds to it
+      bestCombo: 0,
+      effects: {}, // power-up id → { untilMs } for the lasting power-ups this snake picked up
+      respawnAt: 0, // rivals only: when a crashed rival comes back (simulated ms)
+    };
+  }
+
+  // Where another snake can start: its body and the cells just ahead are clear, and it
+  // is neither near another head nor in a lane next to one moving the same way.
+  function isFreeStart(state, start, dir) {
+    const cells = [];
+    for (let i = -3; i <= 2; i++) cells.push({ x: start.x - dir.x * i, y: start.y - dir.y * i });
+    if (!cells.every((c) => inBounds(state, c) && !levelCellAt(state, c) && !isCellOccupiedBySnake(state, c))) {
+      return false;
+    }
+    return state.snakes.every((snake) => {
+      const head = snake.body[0];
+      if (!snake.alive) return true;
+      if (Math.hypot(start.x - head.x, start.y - head.y) < 4) return false;
+      const lanesApart = dir.x ? Math.abs(head.y - start.y) : Math.abs(head.x - start.x);
+      const parallel = dir.x ? snake.direction.x !== 0 : snake.direction.y !== 0;
+      return !parallel || lanesApart >= 3;
+    });
+  }
+
+  // Deterministic spots for extra snakes: mirror images of the first start, nudged
+  // sideways until they fit, then the first free cell in reading order.
+  function findStart(state, index) {
+    const { width, height } = state.config;
+    const first = state.snakes[0];
+    const head = first.body[0];
+    const dir = first.direction;
+    const anchors = [
+      { x: width - 1 - head.x, y: height - 1 - head.y, dir: { x: -dir.x, y: -dir.y } },
+      { x: head.x, y: height - 1 - head.y, dir },
+      { x: width - 1 - head.x, y: head.y, dir: { x: -dir.x, y: -dir.y } },
+    ];
+    const offsets = [0];
+    for (let d = 1; d < Math.max(width, height); d++) offsets.push(d, -d);
+    // each extra snake starts from a different mirror image first
+    const skip = (index - 1) % anchors.length;
+    for (const anchor of anchors.slice(skip).concat(anchors.slice(0, skip))) {
+      for (const d of offsets) {
+        // nudge across the direction of travel
+        const start = { x: anchor.x + (anchor.dir.y ? d : 0), y: anchor.y + (anchor.dir.x ? d : 0) };
+        if (isFreeStart(state, start, anchor.dir)) return { start, dir: anchor.dir };
+      }
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        for (const d of [{ x: 1, y: 0 }, { x: -1, y: 0 }]) {
+          if (isFreeStart(state, { x, y }, d)) return { start: { x, y }, dir: d };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Builds a fresh game state. The returned object is plain data (it survives
+   * a JSON round-trip) and is mutated in place by `step`.
+   */
+  function createState(config) {
+    const cfg = Object.assign({}, defaults, config);
+    cfg.seed = hashSeed(cfg.seed);
+    const level = cfg.level;
+    if (level) {
+      cfg.width = level.width;
+      cfg.height = level.height;
+      if (level.edges) cfg.walls = level.edges;
+    }
+    const start = level ? level.start : { x: Math.floor(cfg.width / 3) + 2, y: Math.floor(cfg.height / 2) };
+    const dir = level ? level.direction : { x: 1, y: 0 };
+    const state = {
+      config: cfg,
+      rngState: cfg.seed,
+      tick: 0,
+      timeMs: 0,
+      snakes: [createSnake(start, dir, false)], // player 1 moves right unless the level says otherwise
+      apples: [],
+      items: [], // power-ups waiting on the board: { type, x, y }, `type` being a registry id
+      effects: [], // board-wide power-ups in effect: { type, owner, untilMs, ... } (e.g. a flying rocket)
+      readyAt: {}, // power-up id → when its cooldown ends (simulated ms)
+      spawned: {}, // "apple" or a power-up id → how many have been placed (see spawnRandom)
+      adaptLevel: 0, // adaptive mode: levels faster (or, below 0, slower) than the rules say
+      adaptFrom: { tick: 0, apples: 0 }, // where adaptive mode's current look-back started
+      poison: [], // poison apples: { x, y, rotAt? }
+      patrols: [], // moving obstacles: { x, y, dx, dy }
+      over: false,
+      winner: null, // with several players: index of the last snake alive, null for a draw
+      events: [], // what happened during the last step
+    };
+    for (let i = 1; i < cfg.players + cfg.rivals; i++) {
+      const spot = findStart(state, i);
+      if (spot) state.snakes.push(createSnake(spot.start, spot.dir, i >= cfg.players));
+    }
+    placePatrols(state);
+    spawnApple(state);
+    return state;
+  }
+
+  /** Queues a direction change for a player's coming steps (see `inputQueue`). Returns false if it was rejected. */
+  function turn(state, x, y, player = 0) {
+    const snake = state.snakes[player];
+    if (!snake || !snake.alive) return false;
+    const { turns } = snake;
+    // a queue of one: the latest turn replaces the one waiting, and only reversing is refused
+    if (!(state.config.inputQueue > 1)) {
+      if (x === -snake.direction.x && y === -snake.direction.y) return false;
+      turns.splice(0, turns.length, { x, y });
+      return true;
+    }
+    // longer queues check each turn against the one queued before it, so a quick Up, Left makes a U-turn
+    const last = turns.length ? turns[turns.length - 1] : snake.direction;
+    if ((x === last.x && y === last.y) || (x === -last.x && y === -last.y)) return false;
+    if (turns.length >= state.config.inputQueue) return false;
+    turns.push({ x, y });
+    return true;
+  }
+
+  function spawnAppleExplosion(state, origin, count, radius) {
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2 + random(state) * 0.4;
+      const dist = 2 + Math.floor(random(state) * radius);
+      let pos = {
+        x: origin.x + Math.round(Math.cos(angle) * dist),
+        y: origin.y + Math.round(Math.sin(angle) * dist),
+      };
+      if (state.config.walls === "wrap") pos = wrapCell(state, pos);
+      if (!inBounds(state, pos)) continue;
+      if (!isCellOccupied(state, pos)) candidates.push(pos);
+    }
+    // add candidates to apples
+    for (const p of candidates) {
+      addApple(state, state.apples, p);
+    }
+  }
+
+  // The rocket flies off from the cell it was picked up on, in cell units
+  function startRocket(state, cell, effect) {
+    const angle = random(state) * Math.PI * 2;
+    Object.assign(effect, {
+      x: cell.x + 0.5,
+      y: cell.y + 0.5,
+      vx: Math.cos(angle) * rocketSpeedCells,
+      vy: Math.sin(angle) * rocketSpeedCells,
+      dropsLeft: Math.floor((effect.untilMs - state.timeMs) / rocketDropEveryMs),
+      nextDropAt: state.timeMs + rocketDropEveryMs,
+    });
+  }
+
+  function updateRocket(state, r, dtMs) {
+    const { width, height } = state.config;
+    const dt = dtMs / 1000;
+    r.x += r.vx * dt;
+    r.y += r.vy * dt;
+    const margin = 0.4;
+    if (r.x < margin) {
+      r.x = margin;
+      r.vx *= -1;
+    }
+    if (r.x > width - margin) {
+      r.x = width - margin;
+      r.vx *= -1;
+    }
+    if (r.y < margin) {
+      r.y = margin;
+      r.vy *= -1;
+    }
+    if (r.y > height - margin) {
+      r.y = height - margin;
+      r.vy *= -1;
+    }
+    // random steering
+    if (random(state) < 0.1) {
+      const a = (random(state) - 0.5) * 0.4;
+      const s = Math.hypot(r.vx, r.vy);
+      const ang = Math.atan2(r.vy, r.vx) + a;
+      r.vx = Math.cos(ang) * s;
+      r.vy = Math.sin(ang) * s;
+    }
+    while (r.dropsLeft > 0 && state.timeMs >= r.nextDropAt) {
+      const drop = jitterCell(state, nearestCell(state, r.x, r.y), 1);
+      if (drop && !isCellOccupied(state, drop)) addApple(state, state.apples, drop);
+      r.dropsLeft -= 1;
+      r.nextDropAt += rocketDropEveryMs;
+    }
+  }
+
+  function nearestCell(state, x, y) {
+    return {
+      x: Math.max(0, Math.min(state.config.width - 1, Math.round(x - 0.5))),
+      y: Math.max(0, Math.min(state.config.height - 1, Math.round(y - 0.5))),
+    };
+  }
+
+  function jitterCell(state, cell, maxOffset) {
+    let pos = {
+      x: cell.x + (Math.floor(random(state) * (2 * maxOffset + 1)) - maxOffset),
+      y: cell.y + (Math.floor(random(state) * (2 * maxOffset + 1)) - maxOffset),
+    };
+    if (state.config.walls === "wrap") pos = wrapCell(state, pos);
+    if (!inBounds(state, pos)) return null;
+    return pos;
+  }
+
+  function emit(state, type, data) {
+    state.events.push(Object.assign({ type }, data));
+  }
+
+  // Power-ups. Each registry entry declares the rules of one kind of pickup; the
+  // page pairs it with how it looks and sounds (script.js, powerUpLooks).
+  //   id          item `type` on the board, and the event raised when it is picked up
+  //   chance      odds per tick that one spawns, while none is on the board or in effect
+  //   cooldownMs  wait after the last one is used up before another may spawn
+  //   durationMs  how long its effect lasts; 0 for one-off power-ups
+  //   scope       where a lasting effect lives: "snake" (whoever picked it up) or "board"
+  //   grows       whether picking it up grows the snake by one
+  //   food        bots go for it like an apple (see ai.js)
+  //   tickScale   while in effect on the board, ticks last this many times longer
+  //   appleMultiplier  while in effect on a snake, its apples are worth this many times more
+  //   passes      crash kinds (see crashAt) a snake under this effect moves straight through
+  //   absorbs     the effect takes one crash for its snake, which stops for that tick, then ends
+  //   canSpawn(state)                     extra spawn condition (optional)
+  //   pickup(state, snake, item, effect)  what picking it up does; `effect` is set when it lasts
+  //   tick(state, effect, snake, dtMs)    per-tick effect while it lasts; snake effects run as their
+  //                                       snake moves and return true when it grew
+  // `config.powerUps` tunes `chance`, `cooldownMs` and `durationMs` per id, or turns one off with false.
+  const powerUps = [];
+
+  function powerUp(id) {
+    return powerUps.find((entry) => entry.id === id) || null;
+  }
+
+  /** Adds a power-up to the registry (or replaces the one with the same id). Returns the entry. */
+  function registerPowerUp(definition) {
+    if (!definition || typeof definition.id !== "string" || !definition.id) throw new Error("A power-up needs an id");
+    const entry = Object.assign({ chance: 0, cooldownMs: 0, durationMs: 0, scope: "snake", grows: true }, definition);
+    const index = powerUps.findIndex((e) => e.id === entry.id);
+    if (index === -1) powerUps.push(entry);
+    else powerUps[index] = entry;
+    return entry;
+  }
+
+  // An entry's setting with the run's tuning applied
+  function setting(state, entry, field) {
+    const tuning = state.config.powerUps && state.config.powerUps[entry.id];
+    return tuning && tuning[field] !== undefined ? tuning[field] : entry[field];
+  }
+
+  function isEnabled(state, entry) {
+    return !(state.config.powerUps && state.config.powerUps[entry.id] === false);
+  }
+
+  // On the board, or in effect on the board or any snake (dead ones included, until they respawn)
+  function isPowerUpLive(state, id) {
+    return (
+      state.items.some((item) => item.type === id) ||
+      state.effects.some((effect) => effect.type === id) ||
+      state.snakes.some((snake) => snake.effects[id])
+    );
+  }
+
+  function startCooldown(state, id) {
+    const entry = powerUp(id);
+    if (entry) state.readyAt[id] = state.timeMs + setting(state, entry, "cooldownMs");
+  }
+
+  // At most one of each kind at a time, spawned away from every head
+  function maybeSpawnPowerUps(state) {
+    for (const entry of powerUps) {
+      if (!isEnabled(state, entry) || isPowerUpLive(state, entry.id)) continue;
+      if (state.timeMs < (state.readyAt[entry.id] || 0)) continue;
+      const chance = setting(state, entry, "chance") * powerUpOdds(state);
+      if (random(state) < chance && (!entry.canSpawn || entry.canSpawn(state))) {
+        const pos = randomEmptyCellTotal(state, spawnRandom(state, entry.id));
+        if (farFromHead(state, pos)) {
+          state.items.push({ type: entry.id, x: pos.x, y: pos.y });
+          state.spawned[entry.id] = (state.spawned[entry.id] || 0) + 1;
+        }
+      }
+    }
+  }
+
+  // `snake` has just reached `item`. Returns whether it grows.
+  function pickUp(state, snake, item) {
+    const entry = powerUp(item.type);
+    const player = state.snakes.indexOf(snake);
+    snake.stats.powerUps += 1;
+    if (!entry) return true; // e.g. from a registry entry that is no longer loaded
+    const durationMs = setting(state, entry, "durationMs");
+    let effect = null;
+    if (durationMs > 0) {
+      const untilMs = state.timeMs + durationMs;
+      if (entry.scope === "board") {
+        effect = { type: entry.id, owner: player, untilMs };
+        state.effects.push(effect);
+      } else {
+        effect = { untilMs };
+        snake.effects[entry.id] = effect;
+      }
+    } else {
+      startCooldown(state, entry.id);
+    }
+    if (entry.pickup) entry.pickup(state, snake, item, effect);
+    emit(state, entry.id, { x: item.x, y: item.y, player });
+    return entry.grows;
+  }
+
+  // The registry entries of the lasting effects a snake is under right now
+  function activeEffects(state, snake) {
+    return Object.keys(snake.effects)
+      .filter((id) => state.timeMs < snake.effects[id].untilMs)
+      .map(powerUp)
+      .filter(Boolean);
+  }
+
+  // Apples eaten by the players (rivals don't count)
+  function playerApples(state) {
+    return state.snakes.reduce((sum, snake) => (snake.rival ? sum : sum + snake.stats.apples), 0);
+  }
+
+  // The run's speed curve with its type's defaults filled in, or null for a constant speed
+  function speedCurve(state) {
+    const curve = state.config.speedCurve;
+    if (!curve || !speedCurveDefaults[curve.type]) return null;
+    return Object.assign({}, speedCurveDefaults[curve.type], curve);
+  }
+
+  // Steps the speed curve has taken so far
+  function curveLevel(state) {
+    const curve = speedCurve(state);
+    if (!curve || !(curve.every > 0)) return 0;
+    const progress = curve.type === "apples" ? playerApples(state) : state.timeMs / 1000;
+    const steps = Math.ceil(Math.max(0, state.config.tickMs - curve.minTickMs) / curve.stepMs); // to the floor
+    return Math.min(steps, Math.floor(progress / curve.every));
+  }
+
+  /** How many steps faster than `tickMs` the game runs now: the speed curve's plus adaptive mode's (may be below 0). */
+  function speedLevel(state) {
+    return curveLevel(state) + state.adaptLevel;
+  }
+
+  /** The tick length the rules give now, before slow motion: `tickMs` moved by the speed curve and adaptive mode. */
+  function baseTickMs(state) {
+    const { tickMs } = state.config;
+    const curve = speedCurve(state);
+    if (!curve && !state.adaptLevel) return tickMs;
+    const ms = tickMs - curveLevel(state) * (curve ? curve.stepMs : 0) - state.adaptLevel * adaptStepMs;
+    return Math.max(Math.min(tickMs, curve ? curve.minTickMs : fastestTickMs), ms);
+  }
+
+  // Adaptive mode's factor on power-up chances
+  function powerUpOdds(state) {
+    return state.config.adaptive ? Math.pow(adaptPowerUpOdds, state.adaptLevel) : 1;
+  }
+
+  // Adaptive mode: once per look-back, a level up or down depending on how many apples the players ate
+  function adapt(state) {
+    if (!state.config.adaptive) {
+      state.adaptLevel = 0; // switched off mid-run: back to the rules' own speed
+      return;
+    }
+    if (state.tick - state.adaptFrom.tick < adaptEveryTicks) return;
+    const apples = playerApples(state) - state.adaptFrom.apples;
+    let level = state.adaptLevel;
+    if (apples >= adaptFastApples) level = Math.min(maxAdaptLevel, level + 1);
+    else if (apples <= adaptSlowApples) level = Math.max(-maxAdaptLevel, level - 1);
+    state.adaptFrom = { tick: state.tick, apples: playerApples(state) };
+    if (level === state.adaptLevel) return;
+    state.adaptLevel = level;
+    emit(state, "adapt", { level });
+  }
+
+  /** How long the next tick lasts in simulated ms: `baseTickMs`, stretched while a slow-motion effect runs. */
+  function tickLength(state) {
+    let ms = baseTickMs(state);
+    for (const effect of state.effects) {
+      const entry = powerUp(effect.type);
+      if (entry && entry.tickScale) ms *= entry.tickScale;
+    }
+    return Math.round(ms);
+  }
+
+  // What the snake's apples are worth right now: 1, times any multiplier it is under
+  function appleMultiplier(state, snake) {
+    return activeEffects(state, snake).reduce((m, entry) => m * (entry.appleMultiplier || 1), 1);
+  }
+
+  // Scoring. An apple is worth 10 points; with "combo" scoring it also earns
+  //   combo   2 per apple already in the combo: apples within `comboWindowTicks` of each other
+  //           chain up, to at most `maxCombo`
+  //   length  2 per 10 cells of the snake's length
+  // and the snake earns `risk` for turning away at the last moment from a wall, edge, patrol or
+  // body dead ahead (see step), `time` and `bestCombo` when the run ends (see finishRun). Apples
+  // are multiplied by power-ups; everything but poison scales with the speed, Normal's being ×1.
+  function award(snake, source, points) {
+    if (!points) return;
+    snake.score += points;
+    snake.points[source] = (snake.points[source] || 0) + points;
+  }
+
+  function speedScale(state) {
+    return defaults.tickMs / baseTickMs(state);
+  }
+
+  const isFlat = (state) => state.config.scoring === "flat";
+
+  // `snake` eats an apple. Returns the points it scored.
+  function scoreApple(state, snake) {
+    const multiplier = appleMultiplier(state, snake);
+    snake.stats.apples += 1;
+    if (isFlat(state)) {
+      award(snake, "apples", 10 * multiplier);
+      return 10 * multiplier;
+    }
+    snake.combo = state.tick <= snake.comboUntil ? Math.min(maxCombo, snake.combo + 1) : 1;
+    snake.comboUntil = state.tick + comboWindowTicks;
+    snake.bestCombo = Math.max(snake.bestCombo, snake.combo);
+    const parts = { apples: 10, combo: 2 * (snake.combo - 1), length: 2 * Math.floor(snake.body.length / 10) };
+    let total = 0;
+    for (const source of Object.keys(parts)) {
+      const points = Math.round(parts[source] * multiplier * speedScale(state));
+      award(snake, source, points);
+      total += points;
+    }
+    return total;
+  }
+
+  // Bonuses for the players once the run is over: a point per second survived, 10 per apple of the best combo
+  function finishRun(state) {
+    if (isFlat(state)) return;
+    state.snakes.forEach((snake, player) => {
+      if (snake.rival) return;
+      const time = Math.round(Math.floor(state.timeMs / 1000) * speedScale(state));
+      const bestCombo = snake.bestCombo > 1 ? Math.round(10 * snake.bestCombo * speedScale(state)) : 0;
+      award(snake, "time", time);
+      award(snake, "bestCombo", bestCombo);
+      if (time + bestCombo) emit(state, "runBonus", { player, points: time + bestCombo });
+    });
+  }
+
+  // A crashing snake may be saved by one of its effects: "pass" moves it on through,
+  // "block" keeps it where it is for this tick and uses the effect up. Null if nothing helps.
+  function rescue(state, snake, crash) {
+    const entries = activeEffects(state, snake);
+    if (entries.some((entry) => entry.passes && entry.passes.includes(crash))) return "pass";
+    const shield = entries.find((entry) => entry.absorbs);
+    if (!shield) return null;
+    delete snake.effects[shield.id];
+    startCooldown(state, shield.id);
+    const head = snake.body[0];
+    emit(state, "absorb", { x: head.x, y: head.y, player: state.snakes.indexOf(snake), powerUp: shield.id });
+    return "block";
+  }
+
+  function updateBoardEffects(state, dtMs) {
+    for (const effect of state.effects.slice()) {
+      const entry = powerUp(effect.type);
+      if (entry && entry.tick) entry.tick(state, effect, state.snakes[effect.owner], dtMs);
+      if (state.timeMs >= effect.untilMs) {
+        state.effects.splice(state.effects.indexOf(effect), 1);
+        startCooldown(state, effect.type);
+      }
+    }
+  }
+
+  // Bomb: bursts into apples around the snake
+  registerPowerUp({
+    id: "bomb",
+    chance: 0.02,
+    food: true,
+    canSpawn: (state) => state.apples.length >= 1,
+    pickup: (state, snake, item) => spawnAppleExplosion(state, item, 14, 4),
+  });
+
+  // Magnet: for a while the snake eats every apple within `magnetRadiusCells` of its head
+  registerPowerUp({
+    id: "magnet",
+    chance: 0.015,
+    durationMs: 15000,
+    tick(state, effect, snake) {
+      const head = snake.body[0];
+      let taken = 0;
+      state.apples = state.apples.filter((a) => {
+        if (Math.hypot(a.x - head.x, a.y - head.y) <= magnetRadiusCells) {
+          taken += 1;
+          return false; // remove apple
+        }
+        return true;
+      });
+      if (taken === 0) return false;
+      let points = 0;
+      for (let i = 0; i < taken; i++) points += scoreApple(state, snake);
+      const player = state.snakes.indexOf(snake);
+      emit(state, "magnetPull", { x: head.x, y: head.y, count: taken, points, combo: snake.combo, player });
+      return true;
+    },
+  });
+
+  // Rocket: flies around the board, bouncing off the edges and dropping apples as it goes
+  registerPowerUp({
+    id: "rocket",
+    chance: 0.012,
+    durationMs: 10000,
+    scope: "board",
+    pickup: (state, snake, item, effect) => startRocket(state, item, effect),
+    tick: (state, effect, snake, dtMs) => updateRocket(state, effect, dtMs),
+  });
+
+  // Slow motion: ticks last longer for a while, for everyone on the board
+  registerPowerUp({ id: "slowmo", chance: 0.008, durationMs: 8000, scope: "board", tickScale: 1.6 });
+
+  // Ghost: the snake slips through its own body
+  registerPowerUp({ id: "ghost", chance: 0.008, durationMs: 5000, passes: ["self"] });
+
+  // Shrink: cuts `shrinkCells` off the tail, never below `minLength`
+  registerPowerUp({
+    id: "shrink",
+    chance: 0.01,
+    grows: false,
+    // the new head is already on, and the tail's last cell comes off as the move finishes
+    pickup: (state, snake) => (snake.body.length = Math.max(minLength + 1, snake.body.length - shrinkCells)),
+  });
+
+  // ×2: apples are worth double for a while
+  registerPowerUp({ id: "multiplier", chance: 0.01, durationMs: 15000, appleMultiplier: 2 });
+
+  // Shield: takes the next crash that would have been fatal
+  registerPowerUp({ id: "shield", chance: 0.006, durationMs: 30000, absorbs: true });
+
+  // Hazards (see hazardDefaults)
+
+  // Brings the patrols in line with the `patrols` setting, which may change mid-run: listed
+  // starts replace the patrols when their number differs, a count adds or drops random ones.
+  function placePatrols(state) {
+    const wanted = hazard(state, "patrols");
+    if (Array.isArray(wanted)) {
+      if (wanted.length !== state.patrols.length) {
+        state.patrols = wanted.map((p) => ({ x: p.x, y: p.y, dx: p.dx, dy: p.dy }));
+      }
+      return;
+    }
+    const count = Math.max(0, Math.floor(wanted) || 0);
+    if (state.patrols.length > count) state.patrols.length = count;
+    for (let tries = 0; state.patrols.length < count && tries < 10; tries++) {
+      const pos = randomEmptyCellTotal(state);
+      if (!farFromHead(state, pos)) continue;
+      const dx = random(state) < 0.5 ? -1 : 1;
+      const dy = random(state) < 0.5 ? -1 : 1;
+      state.patrols.push({ x: pos.x, y: pos.y, dx, dy });
+    }
+  }
+
+  function kill(state, snake, pos, nowMs) {
+    snake.alive = false;
+    if (snake.rival) snake.respawnAt = nowMs + rivalRespawnMs;
+    emit(state, "death", { x: pos.x, y: pos.y, player: state.snakes.indexOf(snake) });
+  }
+
+  // Patrols move like the rocket, one cell at a time: they bounce off edges, walls, portals,
+  // bodies and each other. One that runs into a head kills that snake unless an effect saves
+  // it ("patrol" is the crash kind). Returns the snakes it killed.
+  function movePatrols(state, nowMs) {
+    const killed = [];
+    if (!state.patrols.length || state.tick % Math.max(1, hazard(state, "patrolEvery")) !== 0) return killed;
+    const bounces = [
+      { x: 1, y: 1 },
+      { x: -1, y: 1 },
+      { x: 1, y: -1 },
+      { x: -1, y: -1 },
+    ];
+    for (const patrol of state.patrols) {
+      for (const flip of bounces) {
+        const dx = patrol.dx * flip.x;
+        const dy = patrol.dy * flip.y;
+        const to = { x: patrol.x + dx, y: patrol.y + dy };
+        if (!inBounds(state, to) || levelCellAt(state, to)) continue;
+        if (state.patrols.some((other) => other !== patrol && coordEq(other, to))) continue;
+        const snake = state.snakes.find((s) => s.alive && s.body.some((seg) => coordEq(seg, to)));
+        if (snake) {
+          if (!coordEq(snake.body[0], to)) continue;
+          const outcome = rescue(state, snake, "patrol");
+          if (outcome === "block") continue;
+          if (outcome !== "pass") {
+            kill(state, snake, to, nowMs);
+            killed.push(snake);
+          }
+        }
+        Object.assign(patrol, { x: to.x, y: to.y, dx, dy });
+        break;
+      }
+    }
+    return killed;
+  }
+
+  // Like the power-ups, away from every head
+  function maybeSpawnPoison(state) {
+    const chance = hazard(state, "poisonChance");
+    if (!(chance > 0) || state.poison.length >= hazard(state, "poisonMax")) return;
+    if (random(state) < chance) {
+      const pos = randomEmptyCellTotal(state);
+      if (farFromHead(state, pos)) addApple(state, state.poison, pos);
+    }
+  }
+
+  function rotApples(state) {
+    const rotten = (apple) => apple.rotAt !== undefined && state.tick >= apple.rotAt;
+    for (const apple of state.apples.filter(rotten)) emit(state, "rot", { x: apple.x, y: apple.y });
+    for (const apple of state.poison.filter(rotten)) emit(state, "rot", { x: apple.x, y: apple.y, poison: true });
+    state.apples = state.apples.filter((apple) => !rotten(apple));
+    state.poison = state.poison.filter((apple) => !rotten(apple));
+  }
+
+  /** Where a head at `pos` moving `dir` ends up: wrap-around edges and portals applied. */
+  function moveCell(state, pos, dir) {
+    let head = { x: pos.x + dir.x, y: pos.y + dir.y };
+    // walls behavior
+    if (state.config.walls === "wrap") head = wrapCell(state, head);
+    // portals: the head comes out of the linked cell
+    const exit = inBounds(state, head) ? portalExit(state, head) : null;
+    return exit ? { x: exit.x, y: exit.y } : head;
+  }
+
+  // Rivals don't count: the run is decided by the players alone
+  function isRoundOver(state) {
+    const players = state.snakes.filter((snake) => !snake.rival);
+    const alive = players.filter((snake) => snake.alive);
+    if (players.length === 1) return alive.length === 0;
+    if (alive.length > 1) return false;
+    state.winner = alive.length ? state.snakes.indexOf(alive[0]) : null;
+    return true;
+  }
+
+  // A crashed rival comes back as a fresh snake once its timer is up and there is room
+  function respawnRivals(state) {
+    state.snakes.forEach((snake, index) => {
+      if (!snake.rival || snake.alive || state.timeMs < snake.respawnAt) return;
+      const spot = findStart(state, index);
+      if (!spot) return;
+      const fresh = createSnake(spot.start, spot.dir, true);
+      Object.assign(snake, { body: fresh.body, direction: fresh.direction, turns: fresh.turns });
+      Object.assign(snake, { alive: true, effects: {}, combo: 0 });
+      emit(state, "respawn", { x: spot.start.x, y: spot.start.y, player: index });
+    });
+  }
+
+  // Pickups and growth for one snake that has just moved its head to `head`
+  function feedSnake(state, snake, head, nowMs) {
+    const player = state.snakes.indexOf(snake);
+    snake.body.unshift(head);
+
+    let grewThisTick = false;
+    const idx = state.apples.findIndex((a) => coordEq(a, head));
+    if (idx !== -1) {
+      state.apples.splice(idx, 1);
+      const points = scoreApple(state, snake);
+      emit(state, "eat", { x: head.x, y: head.y, player, points, combo: snake.combo });
+      // do not pop tail if ate
+      grewThisTick = true;
+    }
+
+    const poison = state.poison.findIndex((p) => coordEq(p, head));
+    if (poison !== -1) {
+      state.poison.splice(poison, 1);
+      const points = -Math.min(snake.score, hazard(state, "poisonPoints")); // the score never drops below 0
+      award(snake, "poison", points);
+      // like a shrink: the tail's last cell still comes off as the move finishes
+      snake.body.length = Math.max(minLength + 1, snake.body.length - hazard(state, "poisonCells"));
+      emit(state, "poison", { x: head.x, y: head.y, player, points });
+    }
+
+    const item = state.items.find((it) => coordEq(it, head));
+    if (item) {
+      state.items.splice(state.items.indexOf(item), 1);
+      if (pickUp(state, snake, item)) grewThisTick = true;
+    }
+
+    // lasting effects on this snake act as it moves, and wear off here too
+    for (const id of Object.keys(snake.effects)) {
+      const effect = snake.effects[id];
+      if (nowMs >= effect.untilMs) {
+        delete snake.effects[id];
+        startCooldown(state, id);
+      } else {
+        const entry = powerUp(id);
+        if (entry && entry.tick && entry.tick(state, effect, snake)) grewThisTick = true;
+      }
+    }
+
+    // finalize movement: pop tail only if not grown this tick
+    if (!grewThisTick) snake.body.pop();
+  }
+
+  // A cell no head may enter, as the board stands before anyone moves
+  function isDeadly(state, pos) {
+    if (!inBounds(state, pos) || isWall(state, pos)) return true;
+    return state.patrols.some((p) => coordEq(p, pos)) || isCellOccupiedBySnake(state, pos);
+  }
+
+  // What snake `i` of the moving ones runs into at `heads[i]`: "edge", "wall", "patrol", "snake"
+  // (another one's body), "self", "head" (two heads meeting on one cell) or null
+  function crashAt(state, snake, heads, i) {
+    const head = heads[i];
+    if (!inBounds(state, head)) return "edge";
+    if (isWall(state, head)) return "wall";
+    if (state.patrols.some((p) => coordEq(p, head))) return "patrol";
+    const others = state.snakes.filter((other) => other !== snake && other.alive);
+    if (others.some((other) => other.body.some((s) => coordEq(s, head)))) return "snake";
+    if (snake.body.some((s) => coordEq(s, head))) return "self";
+    if (heads.some((other, j) => j !== i && coordEq(other, head))) return "head";
+    return null;
+  }
+
+  /**
+   * Advances the game by one tick. `input` may carry a `direction` ({ x, y })
+   * to turn player 1 before moving. Returns the events raised during the step.
+   */
+  function step(state, input) {
+    state.events = [];
+    if (state.over) return state.events;
+    if (input && input.direction) turn(state, input.direction.x, input.direction.y);
+
+    state.tick += 1;
+    const dtMs = tickLength(state);
+    state.timeMs += dtMs;
+    const nowMs = state.timeMs;
+    respawnRivals(state);
+    placePatrols(state);
+    const struck = movePatrols(state, nowMs);
+
+    // every snake picks its next cell before any of them moves, so collisions are simultaneous
+    const moving = state.snakes.filter((snake) => snake.alive);
+    const missed = []; // by index: the deadly cell dead ahead that a snake turns away from this tick
+    const heads = moving.map((snake, i) => {
+      // one queued turn per tick
+      const next = snake.turns.shift();
+      if (next && !isFlat(state) && !coordEq(next, snake.direction)) {
+        const ahead = moveCell(state, snake.body[0], snake.direction);
+        if (isDeadly(state, ahead)) missed[i] = ahead;
+      }
+      if (next) snake.direction = next;
+      return moveCell(state, snake.body[0], snake.direction);
+    });
+
+    // collision detection: edges, walls, patrols, any body (own included) or a head-on meeting
+    const crashed = [];
+    const blocked = []; // saved by an effect, but stay where they are this tick
+    moving.forEach((snake, i) => {
+      const crash = crashAt(state, snake, heads, i);
+      if (!crash) return;
+      const outcome = rescue(state, snake, crash);
+      if (outcome === "block") blocked.push(snake);
+      else if (outcome !== "pass") crashed.push(snake);
+    });
+    for (const snake of crashed) kill(state, snake, heads[moving.indexOf(snake)], nowMs);
+    if ((struck.length || crashed.length) && isRoundOver(state)) {
+      finishRun(state);
+      state.over = true;
+      return state.events;
+    }
+
+    moving.forEach((snake, i) => {
+      if (!snake.alive || blocked.includes(snake)) return;
+      feedSnake(state, snake, heads[i], nowMs);
+      if (missed[i]) {
+        const points = Math.round(riskPoints * speedScale(state));
+        award(snake, "risk", points);
+        emit(state, "nearMiss", { x: missed[i].x, y: missed[i].y, player: state.snakes.indexOf(snake), points });
+      }
+    });
+
+    rotApples(state);
+    // ensure at least one apple present
+    if (state.apples.length === 0) spawnApple(state);
+
+    maybeSpawnPowerUps(state);
+    maybeSpawnPoison(state);
+    updateBoardEffects(state, dtMs);
+    adapt(state);
+
+    return state.events;
+  }
+
+  /**
+   * Ends the run after the current tick as though every player's snake had crashed where it is,
+   * e.g. once a goal the page keeps can no longer be reached. Its events join the tick's.
+   */
+  function end(state) {
+    if (state.over) return state.events;
+    state.snakes.forEach((snake) => {
+      if (!snake.rival && snake.alive) kill(state, snake, snake.body[0], state.timeMs);
+    });
+    isRoundOver(state); // settles the winner
+    finishRun(state);
+    state.over = true;
+    return state.events;
+  }
+
+  /**
+   * A small publish/subscribe hub for game events. Handlers are called with
+   * `(event, state)`; ones registered for "*" hear every event. `on` returns a
+   * function that removes the handler again.
+   */
+  function createEventBus() {
+    const handlers = new Map(); // type → handlers
+    const off = (type, handler) => {
+      const list = handlers.get(type);
+      if (list) handlers.set(type, list.filter((h) => h !== handler));
+    };
+    return {
+      on(type, handler) {
+        handlers.set(type, (handlers.get(type) || []).concat(handler));
+        return () => off(type, handler);
+      },
+      off,
+      emit(event, state) {
+        for (const handler of handlers.get(event.type) || []) handler(event, state);
+        for (const handler of handlers.get("*") || []) handler(event, state);
+      },
+    };
+  }
+
+  /**
+   * Creates a game handle around a fresh state. Every step publishes its events
+   * on `bus`, followed by a "tick" event once the step is done; `end` publishes
+   * the events of ending the run early.
+   */
+  function createGame(config) {
+    const state = createState(config);
+    const bus = createEventBus();
+    return {
+      bus,
+      step(input) {
+        const tick = state.tick;
+        const events = step(state, input);
+        if (state.tick === tick) return events; // already over: nothing happened
+        for (const ev of events) bus.emit(ev, state);
+        bus.emit({ type: "tick", tick: state.tick, timeMs: state.timeMs }, state);
+        return events;
+      },
+      end() {
+        if (state.over) return [];
+        const from = state.events.length;
+        const events = end(state).slice(from);
+        for (const ev of events) bus.emit(ev, state);
+        return events;
+      },
+      turn: (x, y, player) => turn(state, x, y, player),
+      getState: () => state,
+    };
+  }
+
+  return {
+    createGame,
+    createEventBus,
+    createState,
+    powerUps,
+    powerUp,
+    registerPowerUp,
+    tickLength,
+    baseTickMs,
+    speedLevel,
+    speedCurveDefaults,
+    hazardDefaults,
+    hazard,
+    createRng,
+    hashSeed,
+    step,
+    turn,
+    end,
+    isCellOccupied,
+    moveCell,
+    isWall,
+    portalExit,
+    magnetRadiusCells,
+  };
+});
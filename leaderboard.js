@@ -0,0 +1,144 @@
+/*
+ * Online leaderboard client.
+ * A leaderboard adapter is any object with three async methods:
+ *   submit(submission)              → { id, rank }  (rank 0 = top)
+ *   top(category, limit)            → entries, best first, each with its `rank`
+ *   aroundMe(category, near, span)  → entries around one run: `near` is { id } or { score }
+ * `category` is a high-score category key (see scores.js). Failures reject with an
+ * Error; when the server answered, the error carries its HTTP `status`.
+ * `createRestAdapter` talks to the REST API that `server/mock-leaderboard.js` implements.
+ * Submissions that can't be delivered wait in IndexedDB (`enqueue`) until `flushQueue`
+ * gets them through — the service worker does that when the device is back online.
+ * Global `SnakeLeaderboard` in the page and the service worker, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnakeLeaderboard = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const syncTag = "snake-leaderboard"; // Background Sync tag the service worker retries on
+  const dbName = "snake-leaderboard";
+  const storeName = "pending";
+
+  /**
+   * What gets sent for a finished run: the table entry plus the replay (settings and
+   * per-tick input log), so the server can play the run back and check the score.
+   */
+  function createSubmission(category, entry, replay) {
+    return Object.assign({ category }, entry, { replay });
+  }
+
+  /** Server errors worth trying again later (network failures have no status and always are). */
+  function isRetryable(err) {
+    return !err.status || err.status === 408 || err.status === 429 || err.status >= 500;
+  }
+
+  /** Adapter for the REST API: POST `<baseUrl>/scores`, GET `<baseUrl>/scores` and `<baseUrl>/scores/around`. */
+  function createRestAdapter({ baseUrl, fetch = (...args) => self.fetch(...args) }) {
+    const base = baseUrl.replace(/\/+$/, "");
+
+    async function request(path, options = {}) {
+      // no-store: the service worker serves cached files but must never answer for the API
+      const res = await fetch(base + path, Object.assign({ cache: "no-store" }, options));
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const err = new Error(body.error || `Leaderboard request failed (${res.status})`);
+        err.status = res.status;
+        throw err;
+      }
+      return body;
+    }
+
+    return {
+      submit(submission) {
+        return request("/scores", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(submission),
+        });
+      },
+      async top(category, limit = 10) {
+        const body = await request(`/scores?category=${encodeURIComponent(category)}&limit=${limit}`);
+        return body.entries;
+      },
+      async aroundMe(category, near, span = 3) {
+        const by = near.id ? `id=${encodeURIComponent(near.id)}` : `score=${Number(near.score) || 0}`;
+        const body = await request(`/scores/around?category=${encodeURIComponent(category)}&${by}&span=${span}`);
+        return body.entries;
+      },
+    };
+  }
+
+  // Offline queue
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName, { keyPath: "id", autoIncrement: true });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // Runs `fn(store)` in one transaction and resolves with what its request returned
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req && req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  /** Keeps a submission for later, with the leaderboard's base URL so whoever retries knows where to send it. */
+  function enqueue(endpoint, submission) {
+    return withStore("readwrite", (store) => store.add({ endpoint, submission, queuedAt: new Date().toISOString() }));
+  }
+
+  /** Queued submissions, oldest first: { id, endpoint, submission, queuedAt }. */
+  function pending() {
+    return withStore("readonly", (store) => store.getAll());
+  }
+
+  function remove(id) {
+    return withStore("readwrite", (store) => store.delete(id));
+  }
+
+  /**
+   * Sends every queued submission, oldest first. Delivered ones and ones the server
+   * turned down for good leave the queue; it stops at the first failure worth retrying.
+   * Resolves with what was delivered, as { submission, result } pairs.
+   */
+  async function flushQueue(createAdapter = (endpoint) => createRestAdapter({ baseUrl: endpoint })) {
+    const delivered = [];
+    for (const item of await pending()) {
+      try {
+        const result = await createAdapter(item.endpoint).submit(item.submission);
+        delivered.push({ submission: item.submission, result });
+      } catch (err) {
+        if (isRetryable(err)) throw err;
+      }
+      await remove(item.id);
+    }
+    return delivered;
+  }
+
+  return {
+    syncTag,
+    createSubmission,
+    isRetryable,
+    createRestAdapter,
+    enqueue,
+    pending,
+    flushQueue,
+  };
+});
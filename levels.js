@@ -0,0 +1,475 @@
+/*
+ * Level format and built-in mazes.
+ * A level is a JSON object whose `map` is an ASCII-art grid, one string per row:
+ *   #  wall             .  empty (a space works too)
+ *   > < ^ v  snake head start, facing that way (the body trails behind it)
+ *   1-9  portal: the two cells with the same digit are linked
+ *   *  apple spawn point: the apple that keeps the board stocked appears on one of these
+ * Optional `edges` ("wrap" or "solid") overrides the Walls setting for the board edges,
+ * and optional `hazards` the run's hazard settings, field by field (see `hazardDefaults`
+ * in engine.js); its `patrols` may list starts as [{ x, y, dx, dy }].
+ * `parse` turns that into plain coordinates the engine reads from `config.level`.
+ * Levels can also travel as a compact, URL-safe share code (`toShareCode`/`fromShareCode`).
+ * Global `SnakeLevels` in the page, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnakeLevels = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const headChars = {
+    ">": { x: 1, y: 0 },
+    "<": { x: -1, y: 0 },
+    "^": { x: 0, y: -1 },
+    v: { x: 0, y: 1 },
+  };
+
+  const minSize = 5;
+  const maxSize = 60;
+  // the hazard settings a level may fix (see hazardDefaults in engine.js)
+  const hazardFields = [
+    "poisonChance",
+    "poisonMax",
+    "poisonPoints",
+    "poisonCells",
+    "rotTicks",
+    "patrols",
+    "patrolEvery",
+  ];
+
+  // The level's hazard settings, or null; what doesn't check out is left out and reported
+  function readHazards(def, width, height, problems) {
+    if (!def.hazards || typeof def.hazards !== "object") return null;
+    const hazards = {};
+    for (const field of hazardFields) {
+      const value = def.hazards[field];
+      if (value === undefined) continue;
+      if (field === "patrols" && Array.isArray(value)) {
+        const starts = value.filter((p) => {
+          const ok =
+            p &&
+            [p.x, p.y, p.dx, p.dy].every(Number.isInteger) &&
+            p.x >= 0 &&
+            p.y >= 0 &&
+            p.x < width &&
+            p.y < height &&
+            Math.abs(p.dx) <= 1 &&
+            Math.abs(p.dy) <= 1 &&
+            (p.dx || p.dy);
+          if (!ok) problems.push("Patrols need a start on the board and a direction");
+          return ok;
+        });
+        hazards.patrols = starts.map((p) => ({ x: p.x, y: p.y, dx: p.dx, dy: p.dy }));
+      } else if (typeof value === "number" && value >= 0) hazards[field] = value;
+      else problems.push(`Hazard ${field} must be a number of at least 0`);
+    }
+    return hazards;
+  }
+
+  /**
+   * Reads a level definition without giving up on the first mistake, so an
+   * unfinished level (e.g. in the editor) can still be drawn. Returns the
+   * level plus a list of `problems`; an empty list means it is playable.
+   */
+  function read(def) {
+    if (!def || !Array.isArray(def.map) || def.map.length === 0) {
+      return { level: null, problems: ["Level has no map"] };
+    }
+    if (!def.map.every((row) => typeof row === "string")) {
+      return { level: null, problems: ["Level map rows must be strings"] };
+    }
+    const problems = [];
+    const rows = def.map;
+    const width = rows[0].length;
+    const height = rows.length;
+    if (width < minSize || height < minSize) problems.push(`Level must be at least ${minSize}×${minSize}`);
+    if (width > maxSize || height > maxSize) problems.push(`Level can be at most ${maxSize}×${maxSize}`);
+    const level = {
+      id: def.id || "custom",
+      name: def.name || "Custom level",
+      width,
+      height,
+      walls: [],
+      portals: [],
+      spawns: [],
+      start: null,
+      direction: { x: 1, y: 0 },
+    };
+    if (def.edges === "wrap" || def.edges === "solid") level.edges = def.edges;
+    const hazards = readHazards(def, width, height, problems);
+    if (hazards) level.hazards = hazards;
+
+    const portalEnds = {};
+    rows.forEach((row, y) => {
+      if (row.length !== width) problems.push(`Map row ${y + 1} is ${row.length} wide, expected ${width}`);
+      for (let x = 0; x < Math.min(width, row.length); x++) {
+        const ch = row[x];
+        if (ch === "#") level.walls.push({ x, y });
+        else if (ch === "*") level.spawns.push({ x, y });
+        else if (headChars[ch]) {
+          if (level.start) problems.push("Level has more than one start");
+          level.start = { x, y };
+          level.direction = headChars[ch];
+        } else if (ch >= "1" && ch <= "9") (portalEnds[ch] = portalEnds[ch] || []).push({ x, y });
+        else if (ch !== "." && ch !== " ") problems.push(`Unknown map character "${ch}" at ${x},${y}`);
+      }
+    });
+
+    for (const key of Object.keys(portalEnds).sort()) {
+      const ends = portalEnds[key];
+      if (ends.length === 2) level.portals.push({ a: ends[0], b: ends[1] });
+      else problems.push(`Portal ${key} needs exactly two ends`);
+    }
+
+    const patrols = level.hazards && level.hazards.patrols;
+    if (Array.isArray(patrols)) {
+      for (const p of patrols) {
+        const ch = rows[p.y][p.x];
+        if (ch !== "." && ch !== " ") problems.push(`Patrol at ${p.x},${p.y} must start on an empty cell`);
+      }
+    }
+
+    if (!level.start) problems.push("Level has no start (use > < ^ or v)");
+    else {
+      // the starting body needs two free cells behind the head
+      for (let i = 1; i <= 2; i++) {
+        const x = level.start.x - level.direction.x * i;
+        const y = level.start.y - level.direction.y * i;
+        if (x < 0 || y < 0 || x >= width || y >= height || rows[y][x] === "#") {
+          problems.push("Start needs two free cells behind the head");
+          break;
+        }
+      }
+    }
+    return { level, problems };
+  }
+
+  /** Parses a level definition. Throws with a readable message if it is not playable. */
+  function parse(def) {
+    const { level, problems } = read(def);
+    if (problems.length) throw new Error(problems[0]);
+    return level;
+  }
+
+  /** Turns a parsed level back into its ASCII definition. */
+  function toDefinition(level) {
+    const rows = [];
+    for (let y = 0; y < level.height; y++) rows.push(new Array(level.width).fill("."));
+    for (const w of level.walls) rows[w.y][w.x] = "#";
+    for (const p of level.spawns || []) rows[p.y][p.x] = "*";
+    level.portals.forEach((p, i) => {
+      rows[p.a.y][p.a.x] = rows[p.b.y][p.b.x] = String(i + 1);
+    });
+    const head = Object.keys(headChars).find(
+      (ch) => headChars[ch].x === level.direction.x && headChars[ch].y === level.direction.y
+    );
+    if (level.start) rows[level.start.y][level.start.x] = head;
+    const def = { id: level.id, name: level.name, map: rows.map((r) => r.join("")) };
+    if (level.edges) def.edges = level.edges;
+    if (level.hazards) def.hazards = level.hazards;
+    return def;
+  }
+
+  const builtIn = [
+    {
+      id: "box",
+      name: "Box",
+      map: [
+        "#########################",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.........>.............#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#########################",
+      ],
+    },
+    {
+      id: "pillars",
+      name: "Pillars",
+      edges: "wrap",
+      map: [
+        ".........................",
+        ".........................",
+        ".........................",
+        ".........................",
+        "....##......##......##...",
+        "....##......##......##...",
+        ".........................",
+        ".........................",
+        ".........................",
+        ".........................",
+        ".........................",
+        ".........................",
+        "....##..>...........##...",
+        "....##..............##...",
+        ".........................",
+        ".........................",
+        ".........................",
+        ".........................",
+        ".........................",
+        ".........................",
+        "....##......##......##...",
+        "....##......##......##...",
+        ".........................",
+        ".........................",
+        ".........................",
+      ],
+    },
+    {
+      id: "cross",
+      name: "Cross",
+      map: [
+        "#########################",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#...........#...........#",
+        "#.....>.....#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#.......................#",
+        "#....######...######....#",
+        "#.......................#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#########################",
+      ],
+    },
+    {
+      id: "portals",
+      name: "Portals",
+      map: [
+        "#########################",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#..1........#........2..#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#....>......#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#..2........#........1..#",
+        "#...........#...........#",
+        "#...........#...........#",
+        "#########################",
+      ],
+    },
+    {
+      id: "lanes",
+      name: "Lanes",
+      edges: "wrap",
+      map: [
+        ".........................",
+        ".........................",
+        "......>..................",
+        ".........................",
+        "....#####################",
+        ".........................",
+        ".........................",
+        ".........................",
+        "#####################....",
+        ".........................",
+        ".........................",
+        ".........................",
+        "....#####################",
+        ".........................",
+        ".........................",
+        ".........................",
+        "#####################....",
+        ".........................",
+        ".........................",
+        ".........................",
+        "....#####################",
+        ".........................",
+        ".........................",
+        ".........................",
+        ".........................",
+      ],
+    },
+    {
+      id: "arena",
+      name: "Arena (wide)",
+      map: [
+        "################################",
+        "#..............................#",
+        "#..............................#",
+        "#..............................#",
+        "#.......>......................#",
+        "#..............................#",
+        "#..............................#",
+        "#............######............#",
+        "#............######............#",
+        "#............######............#",
+        "#............######............#",
+        "#..............................#",
+        "#..............................#",
+        "#..............................#",
+        "#..............................#",
+        "#..............................#",
+        "#..............................#",
+        "################################",
+      ],
+    },
+    {
+      id: "sentries",
+      name: "Sentries",
+      hazards: {
+        poisonChance: 0.01,
+        rotTicks: 200,
+        patrols: [
+          { x: 4, y: 4, dx: 1, dy: 1 },
+          { x: 20, y: 4, dx: -1, dy: 1 },
+          { x: 12, y: 20, dx: 1, dy: -1 },
+        ],
+      },
+      map: [
+        "#########################",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.....###.......###.....#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#..>....................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.....###.......###.....#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#.......................#",
+        "#########################",
+      ],
+    },
+  ];
+
+  // Share codes: "1~<width>~<height>~<edges or ->~<run-length map>~<name>". Map cells use
+  // letters so the code survives in a URL; a run is an optional count followed by the cell.
+  const shareVersion = "1";
+  const toShareChar = { "#": "W", ".": "o", " ": "o", "*": "S", ">": "R", "<": "L", "^": "U", v: "D" };
+  const fromShareChar = { W: "#", o: ".", S: "*", R: ">", L: "<", U: "^", D: "v" };
+  for (let d = 1; d <= 9; d++) {
+    const letter = String.fromCharCode(96 + d); // portal 1 → a … 9 → i
+    toShareChar[String(d)] = letter;
+    fromShareChar[letter] = String(d);
+  }
+
+  /** Encodes a level definition as a compact, URL-safe string. Hazards stay behind: the code has no room for them. */
+  function toShareCode(def) {
+    const cells = def.map.join("");
+    let rle = "";
+    for (let i = 0; i < cells.length; ) {
+      let run = 1;
+      while (cells[i + run] === cells[i]) run++;
+      rle += (run > 1 ? run : "") + (toShareChar[cells[i]] || "o");
+      i += run;
+    }
+    const width = def.map[0].length;
+    return [shareVersion, width, def.map.length, def.edges || "-", rle, encodeURIComponent(def.name || "")].join("~");
+  }
+
+  /** Decodes a share code back into a level definition. Throws if it is damaged. */
+  function fromShareCode(code) {
+    const parts = String(code).split("~");
+    if (parts.length < 6 || parts[0] !== shareVersion) throw new Error("Unrecognized level code");
+    const name = parts.slice(5).join("~"); // "~" is URL-safe, so names may contain it
+    const width = Number(parts[1]);
+    const height = Number(parts[2]);
+    // sizes and runs are checked before anything is built, so a crafted link can't make the page allocate much
+    const fits = (n) => Number.isInteger(n) && n > 0 && n <= maxSize;
+    if (!fits(width) || !fits(height)) throw new Error("Level code is damaged");
+    let cells = "";
+    const re = /(\d*)([A-Za-z])/g;
+    let m;
+    while ((m = re.exec(parts[4]))) {
+      const ch = fromShareChar[m[2]];
+      const run = m[1] ? Number(m[1]) : 1;
+      if (!ch || cells.length + run > width * height) throw new Error("Level code is damaged");
+      cells += ch.repeat(run);
+    }
+    if (cells.length !== width * height) throw new Error("Level code is damaged");
+    const map = [];
+    for (let y = 0; y < height; y++) map.push(cells.slice(y * width, (y + 1) * width));
+    let decodedName;
+    try {
+      decodedName = decodeURIComponent(name);
+    } catch (err) {
+      throw new Error("Level code is damaged"); // a stray "%" in the name
+    }
+    const def = { id: "shared", name: decodedName || "Shared level", map };
+    if (parts[3] === "wrap" || parts[3] === "solid") def.edges = parts[3];
+    return def;
+  }
+
+  function getBuiltIn(id) {
+    const def = builtIn.find((l) => l.id === id);
+    return def ? parse(def) : null;
+  }
+
+  return {
+    builtIn,
+    getBuiltIn,
+    read,
+    parse,
+    toDefinition,
+    toShareCode,
+    fromShareCode,
+    minSize,
+    maxSize,
+  };
+});
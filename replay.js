@@ -0,0 +1,162 @@
+/*
+ * Replay recording and playback.
+ * A replay is the engine config (seed included) plus every accepted turn,
+ * tagged with the tick it was made on. Feeding it back through the engine
+ * reproduces the run exactly. Global `SnakeReplay` in the page, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine.js"), require("./levels.js"));
+  } else {
+    root.SnakeReplay = factory(root.SnakeEngine, root.SnakeLevels);
+  }
+})(typeof self !== "undefined" ? self : this, function (SnakeEngine, SnakeLevels) {
+  "use strict";
+
+  const FORMAT = "vibe-snake-replay";
+  // 2: turns may name a `player`; 3: the power-ups below joined the game; 4: combo scoring; 5: queued turns;
+  // 6: apples and power-ups placed from spawn streams of their own, and runs the page ended early
+  const VERSION = 6;
+  // Power-ups by the replay version that introduced them. Older runs never saw them spawn,
+  // so they stay off when those runs play back.
+  const addedPowerUps = { 3: ["slowmo", "ghost", "shrink", "multiplier", "shield"] };
+
+  /**
+   * Starts recording a run. Call `turn` for every accepted direction change,
+   * `configure` when rules change mid-run, `end` when the page ends the run
+   * itself (see `end` in engine.js), and `finish` once it is over.
+   */
+  function createRecorder(config) {
+    const replay = {
+      format: FORMAT,
+      version: VERSION,
+      config: Object.assign({}, config),
+      // { tick, x, y, player? } turns, { tick, config } rule changes and { tick, end: true }, in order
+      inputs: [],
+      ticks: 0,
+      score: 0, // player 1's; versus replays also list every player's in `scores`
+      recordedAt: null,
+    };
+    return {
+      replay,
+      turn(tick, x, y, player = 0) {
+        replay.inputs.push(player ? { tick, x, y, player } : { tick, x, y });
+      },
+      configure(tick, patch) {
+        replay.inputs.push({ tick, config: Object.assign({}, patch) });
+      },
+      end(tick) {
+        replay.inputs.push({ tick, end: true });
+      },
+      finish(state) {
+        replay.ticks = state.tick;
+        replay.score = state.snakes[0].score;
+        if (state.snakes.length > 1) replay.scores = state.snakes.map((snake) => snake.score);
+        replay.recordedAt = new Date().toISOString();
+        return replay;
+      },
+    };
+  }
+
+  // Whether a replay's config (or a mid-run patch of it) can be played without hanging or flooding
+  // the page: a positive tick and a board, its level's included, within the level size limits
+  function usableConfig(config) {
+    if (!config || typeof config !== "object") return false;
+    const size = (n) => Number.isInteger(n) && n >= SnakeLevels.minSize && n <= SnakeLevels.maxSize;
+    if (config.tickMs !== undefined && !(Number.isFinite(config.tickMs) && config.tickMs > 0)) return false;
+    if ((config.width !== undefined && !size(config.width)) || (config.height !== undefined && !size(config.height))) {
+      return false;
+    }
+    const level = config.level;
+    return !level || (typeof level === "object" && size(level.width) && size(level.height));
+  }
+
+  // Every input has a whole, non-negative tick no earlier than the one before it, and rule changes are usable
+  function usableInputs(inputs) {
+    let last = 0;
+    for (const input of inputs) {
+      if (!input || typeof input !== "object" || !Number.isInteger(input.tick) || input.tick < last) return false;
+      if (input.config !== undefined && !usableConfig(input.config)) return false;
+      last = input.tick;
+    }
+    return true;
+  }
+
+  /** Parses and validates a replay file's text. Throws on anything unusable. */
+  function parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error("Replay file is not valid JSON");
+    }
+    if (!data || data.format !== FORMAT) throw new Error("Not a Snake replay file");
+    if (typeof data.version !== "number" || data.version > VERSION) {
+      throw new Error(`Replay version ${data.version} is not supported by this game`);
+    }
+    if (!usableConfig(data.config) || !Array.isArray(data.inputs) || !usableInputs(data.inputs)) {
+      throw new Error("Replay file is incomplete");
+    }
+    for (const version of Object.keys(addedPowerUps)) {
+      if (data.version >= Number(version)) continue;
+      const off = {};
+      for (const id of addedPowerUps[version]) off[id] = false;
+      data.config.powerUps = Object.assign(off, data.config.powerUps);
+    }
+    if (data.version < 4) data.config.scoring = "flat"; // scored before combos and bonuses
+    if (data.version < 5) data.config.inputQueue = 1; // a later turn in the same tick replaced the earlier one
+    if (data.version < 6) data.config.spawns = "shared"; // every spawn drew from the rules' one stream
+    return data;
+  }
+
+  /** Drives a fresh engine state through a replay, one tick per `step()`. */
+  function createPlayer(replay) {
+    const state = SnakeEngine.createState(replay.config);
+    let cursor = 0;
+
+    // turns and rule changes for the coming tick; an end waits for the tick it ended
+    function applyInputs() {
+      while (cursor < replay.inputs.length && replay.inputs[cursor].tick <= state.tick && !replay.inputs[cursor].end) {
+        const input = replay.inputs[cursor++];
+        if (input.config) Object.assign(state.config, input.config);
+        else SnakeEngine.turn(state, input.x, input.y, input.player || 0);
+      }
+    }
+
+    function isDone() {
+      return state.over || state.tick >= replay.ticks;
+    }
+
+    return {
+      state,
+      isDone,
+      step() {
+        if (isDone()) return [];
+        applyInputs();
+        const events = SnakeEngine.step(state);
+        const next = replay.inputs[cursor];
+        if (next && next.end && next.tick <= state.tick) {
+          cursor += 1;
+          SnakeEngine.end(state); // adds to `events`
+        }
+        return events;
+      },
+    };
+  }
+
+  /** Plays a replay to the end without rendering and returns the final state. */
+  function simulate(replay) {
+    const player = createPlayer(replay);
+    while (!player.isDone()) player.step();
+    return player.state;
+  }
+
+  return {
+    FORMAT,
+    VERSION,
+    createRecorder,
+    createPlayer,
+    parse,
+    simulate,
+  };
+});
@@ -0,0 +1,47 @@
+/*
+ * Rule presets.
+ * What the settings' difficulties and board sizes mean as engine config. The page
+ * builds its runs from these and the leaderboard server checks submissions against
+ * them, so a high-score category means the same rules to both.
+ * Global `SnakeRules` in the page, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnakeRules = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Tick length per difficulty
+  const difficultySpeeds = { easy: 260, normal: 210, hard: 160 };
+  // Power-up tuning per difficulty (config.powerUps, see the registry in engine.js); Normal keeps the defaults
+  const difficultyPowerUps = {
+    easy: { bomb: { chance: 0.03 }, magnet: { durationMs: 20000 } },
+    normal: null,
+    hard: { bomb: { chance: 0.01 }, magnet: { durationMs: 10000 }, rocket: { cooldownMs: 30000 } },
+  };
+  // ...and hazards (config.hazards, see hazardDefaults in engine.js), which only Hard has; a maze's own win
+  const difficultyHazards = {
+    easy: null,
+    normal: null,
+    hard: { poisonChance: 0.008, rotTicks: 150, patrols: 2 },
+  };
+
+  // Board sizes without a maze
+  const boardPresets = {
+    small: { width: 15, height: 15 },
+    classic: { width: 25, height: 25 },
+    huge: { width: 40, height: 40 },
+    wide: { width: 32, height: 18 },
+    tall: { width: 18, height: 28 },
+  };
+
+  return {
+    difficultySpeeds,
+    difficultyPowerUps,
+    difficultyHazards,
+    boardPresets,
+  };
+});
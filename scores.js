@@ -0,0 +1,148 @@
+/*
+ * Local high-score tables.
+ * Runs are ranked per category (difficulty, walls and board or maze), keeping the
+ * best `limit` entries of each. A table is plain JSON — category key → entries,
+ * best score first — so the page can keep it in localStorage and export it as is.
+ * Global `SnakeScores` in the page, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnakeScores = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const limit = 10;
+
+  // Columns an entry can be sorted by, with how they compare
+  const sortFields = {
+    score: (a, b) => a.score - b.score,
+    length: (a, b) => a.length - b.length,
+    durationMs: (a, b) => a.durationMs - b.durationMs,
+    apples: (a, b) => a.apples - b.apples,
+    powerUps: (a, b) => a.powerUps - b.powerUps,
+    name: (a, b) => a.name.localeCompare(b.name),
+    date: (a, b) => a.date.localeCompare(b.date),
+  };
+
+  /** Key for a category, e.g. "normal|wrap|classic". `board` is a board preset or a maze id. */
+  function categoryKey(category) {
+    return [category.difficulty, category.walls, category.board].join("|");
+  }
+
+  function parseCategory(key) {
+    const [difficulty, walls, board] = key.split("|");
+    return { difficulty, walls, board };
+  }
+
+  // Missing or "all" filter fields match anything
+  function matches(category, filter) {
+    return ["difficulty", "walls", "board"].every(
+      (f) => !filter[f] || filter[f] === "all" || filter[f] === category[f]
+    );
+  }
+
+  /** A table entry for player 1's finished run in `state`. */
+  function entryFromState(state, name, date = new Date()) {
+    const snake = state.snakes[0];
+    return {
+      name,
+      score: snake.score,
+      length: snake.body.length,
+      durationMs: state.timeMs,
+      apples: snake.stats.apples,
+      powerUps: snake.stats.powerUps,
+      seed: state.config.seed,
+      date: date.toISOString(),
+    };
+  }
+
+  function isEntry(entry) {
+    return (
+      entry &&
+      typeof entry.name === "string" &&
+      ["score", "length", "durationMs", "apples", "powerUps"].every((f) => Number.isFinite(entry[f])) &&
+      typeof entry.date === "string"
+    );
+  }
+
+  /** Cleans up a table read from storage or a file: bad entries and categories are dropped. */
+  function normalize(table) {
+    const clean = {};
+    if (!table || typeof table !== "object") return clean;
+    for (const key of Object.keys(table)) {
+      if (key.split("|").length !== 3 || !Array.isArray(table[key])) continue;
+      const entries = table[key].filter(isEntry);
+      if (entries.length) clean[key] = entries.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+    return clean;
+  }
+
+  /** Whether `score` would make the table for `key`. */
+  function qualifies(table, key, score) {
+    const entries = table[key] || [];
+    return score > 0 && (entries.length < limit || score > entries[entries.length - 1].score);
+  }
+
+  /**
+   * Adds an entry to its category, keeping the best `limit`. Returns its rank
+   * (0 = top), or -1 if it didn't make the table. Ties keep the earlier run first.
+   */
+  function addEntry(table, key, entry) {
+    if (!qualifies(table, key, entry.score)) return -1;
+    const entries = (table[key] = table[key] || []);
+    let rank = entries.findIndex((e) => entry.score > e.score);
+    if (rank === -1) rank = entries.length;
+    entries.splice(rank, 0, entry);
+    entries.length = Math.min(entries.length, limit);
+    return rank;
+  }
+
+  function bestScore(table, key) {
+    const entries = table[key];
+    return entries && entries.length ? entries[0].score : 0;
+  }
+
+  /** Entries of every category that matches `filter`, each with its `category` and `rank`, sorted by `field`. */
+  function list(table, filter = {}, field = "score", descending = true) {
+    const rows = [];
+    for (const key of Object.keys(table)) {
+      const category = parseCategory(key);
+      if (!matches(category, filter)) continue;
+      table[key].forEach((entry, rank) => rows.push(Object.assign({ category, rank }, entry)));
+    }
+    const compare = sortFields[field] || sortFields.score;
+    return rows.sort((a, b) => (descending ? compare(b, a) : compare(a, b)) || b.score - a.score);
+  }
+
+  /** The part of a table whose categories match `filter`. */
+  function select(table, filter = {}) {
+    const picked = {};
+    for (const key of Object.keys(table)) if (matches(parseCategory(key), filter)) picked[key] = table[key];
+    return picked;
+  }
+
+  /** Drops the categories that match `filter` (all of them without one). */
+  function clear(table, filter = {}) {
+    for (const key of Object.keys(table)) {
+      if (matches(parseCategory(key), filter)) delete table[key];
+    }
+  }
+
+  return {
+    limit,
+    sortFields,
+    categoryKey,
+    parseCategory,
+    entryFromState,
+    normalize,
+    qualifies,
+    addEntry,
+    bestScore,
+    list,
+    select,
+    clear,
+  };
+});
@@ -8,20 +8,136 @@
   const overlayText = document.getElementById("overlayText");
   const overlaySubtext = document.getElementById("overlaySubtext");
   const scoreEl = document.getElementById("score");
+  const scoreLabel = document.getElementById("scoreLabel");
+  const score2Stat = document.getElementById("score2Stat");
+  const score2El = document.getElementById("score2");
+  const roundsStat = document.getElementById("roundsStat");
+  const roundsEl = document.getElementById("rounds");
   const bestEl = document.getElementById("best");
+  const effectsStat = document.getElementById("effectsStat");
+  const speedLevelEl = document.getElementById("speedLevel");
   const pauseBtn = document.getElementById("pauseBtn");
   const restartBtn = document.getElementById("restartBtn");
   const settingsBtn = document.getElementById("settingsBtn");
+  const autopilotBtn = document.getElementById("autopilotBtn");
+  const scoresBtn = document.getElementById("scoresBtn");
+  const scoresDialog = document.getElementById("scoresDialog");
+  const scoresDifficultySelect = document.getElementById("scoresDifficulty");
+  const scoresWallsSelect = document.getElementById("scoresWalls");
+  const scoresBoardSelect = document.getElementById("scoresBoard");
+  const scoresSourceField = document.getElementById("scoresSourceField");
+  const scoresSourceSelect = document.getElementById("scoresSource");
+  const scoresBody = document.getElementById("scoresBody");
+  const scoresEmpty = document.getElementById("scoresEmpty");
+  const scoresClearBtn = document.getElementById("scoresClearBtn");
+  const scoresExportBtn = document.getElementById("scoresExportBtn");
+  const nameForm = document.getElementById("nameForm");
+  const scoreNameInput = document.getElementById("scoreName");
   const settingsDialog = document.getElementById("settingsDialog");
   const difficultySelect = document.getElementById("difficulty");
+  const customDifficultyFields = document.getElementById("customDifficulty");
+  const customTickMsInput = document.getElementById("customTickMs");
+  const customPowerUpRateInput = document.getElementById("customPowerUpRate");
+  const customPoisonChanceInput = document.getElementById("customPoisonChance");
+  const customRotTicksInput = document.getElementById("customRotTicks");
+  const customPatrolsInput = document.getElementById("customPatrols");
+  const customPatrolEveryInput = document.getElementById("customPatrolEvery");
+  const customCurveEveryInput = document.getElementById("customCurveEvery");
+  const customCurveStepInput = document.getElementById("customCurveStep");
+  const customCurveMinInput = document.getElementById("customCurveMin");
+  const speedCurveSelect = document.getElementById("speedCurve");
+  const adaptiveSelect = document.getElementById("adaptive");
   const wallsSelect = document.getElementById("walls");
+  const modeSelect = document.getElementById("mode");
+  const rivalsSelect = document.getElementById("rivals");
+  const aiStrategySelect = document.getElementById("aiStrategy");
   const soundSelect = document.getElementById("sound");
+  const boardSelect = document.getElementById("boardSize");
+  const mazeSelect = document.getElementById("maze");
+  const seedInput = document.getElementById("seed");
+  const overlayDetail = document.getElementById("overlayDetail");
+  const scoreBreakdownEl = document.getElementById("scoreBreakdown");
+  const overlayActions = document.getElementById("overlayActions");
+  const watchReplayBtn = document.getElementById("watchReplayBtn");
+  const saveReplayBtn = document.getElementById("saveReplayBtn");
+  const loadReplayBtn = document.getElementById("loadReplayBtn");
+  const replayFileInput = document.getElementById("replayFile");
+  const replayBar = document.getElementById("replayBar");
+  const replayPlayBtn = document.getElementById("replayPlayBtn");
+  const replayStepBtn = document.getElementById("replayStepBtn");
+  const replayExitBtn = document.getElementById("replayExitBtn");
+  const replayTickEl = document.getElementById("replayTick");
+  const goalStat = document.getElementById("goalStat");
+  const goalEl = document.getElementById("goal");
+  const campaignBtn = document.getElementById("campaignBtn");
+  const campaignDialog = document.getElementById("campaignDialog");
+  const stageList = document.getElementById("stageList");
+  const freePlayBtn = document.getElementById("freePlayBtn");
+  const nextStageBtn = document.getElementById("nextStageBtn");
+  const stageSelectBtn = document.getElementById("stageSelectBtn");
+  const dailyStat = document.getElementById("dailyStat");
+  const dailyBestEl = document.getElementById("dailyBest");
+  const dailyBtn = document.getElementById("dailyBtn");
+  const dailyCopyBtn = document.getElementById("dailyCopyBtn");
+  const dailyCalendarBtn = document.getElementById("dailyCalendarBtn");
+  const dailyDialog = document.getElementById("dailyDialog");
+  const dailyTitle = document.getElementById("dailyTitle");
+  const dailySummary = document.getElementById("dailySummary");
+  const dailyMonthEl = document.getElementById("dailyMonth");
+  const dailyPrevBtn = document.getElementById("dailyPrevBtn");
+  const dailyNextBtn = document.getElementById("dailyNextBtn");
+  const dailyCalendar = document.getElementById("dailyCalendar");
+  const dailyShareBtn = document.getElementById("dailyShareBtn");
+  const dailyFreePlayBtn = document.getElementById("dailyFreePlayBtn");
+  const dailyPlayBtn = document.getElementById("dailyPlayBtn");
+  const achievementsBtn = document.getElementById("achievementsBtn");
+  const achievementsDialog = document.getElementById("achievementsDialog");
+  const achievementsSummary = document.getElementById("achievementsSummary");
+  const achievementList = document.getElementById("achievementList");
+  const editorBtn = document.getElementById("editorBtn");
+  const editorBar = document.getElementById("editorBar");
+  const editorOpenSelect = document.getElementById("editorOpen");
+  const editorNameInput = document.getElementById("editorName");
+  const editorWidthInput = document.getElementById("editorWidth");
+  const editorHeightInput = document.getElementById("editorHeight");
+  const editorEdgesSelect = document.getElementById("editorEdges");
+  const editorDirBtn = document.getElementById("editorDirBtn");
+  const editorSaveBtn = document.getElementById("editorSaveBtn");
+  const editorPlayBtn = document.getElementById("editorPlayBtn");
+  const editorShareBtn = document.getElementById("editorShareBtn");
+  const editorExportBtn = document.getElementById("editorExportBtn");
+  const editorImportBtn = document.getElementById("editorImportBtn");
+  const editorFileInput = document.getElementById("editorFile");
+  const editorDeleteBtn = document.getElementById("editorDeleteBtn");
+  const editorExitBtn = document.getElementById("editorExitBtn");
+  const editorStatus = document.getElementById("editorStatus");
   const applySettingsBtn = document.getElementById("applySettings");
-
-  const boardSizePx = 600;
-  const cellSizePx = 24; // results in a 25x25 grid
-  const gridWidth = Math.floor(boardSizePx / cellSizePx);
-  const gridHeight = Math.floor(boardSizePx / cellSizePx);
+  const resetSettingsBtn = document.getElementById("resetSettingsBtn");
+  const volumeInput = document.getElementById("volume");
+  const musicVolumeInput = document.getElementById("musicVolume");
+  const sfxVolumeInput = document.getElementById("sfxVolume");
+  const powerUpTogglesEl = document.getElementById("powerUpToggles");
+  const qualitySelect = document.getElementById("quality");
+  const controlsSelect = document.getElementById("controls");
+  const touchSensitivityInput = document.getElementById("touchSensitivity");
+  const hapticsSelect = document.getElementById("haptics");
+  const inputBufferSelect = document.getElementById("inputBuffer");
+  const keyBindingsBtn = document.getElementById("keyBindingsBtn");
+  const keysDialog = document.getElementById("keysDialog");
+  const keyRowsEl = document.getElementById("keyRows");
+  const keyConflictsEl = document.getElementById("keyConflicts");
+  const keysResetBtn = document.getElementById("keysResetBtn");
+  const keysSaveBtn = document.getElementById("keysSaveBtn");
+
+  // Drawing happens in design units of 24 per cell; the canvas transform maps them to
+  // however many device pixels a cell really gets, so art stays in proportion at any size.
+  const cellSizePx = 24;
+  const { boardPresets } = SnakeRules;
+  let boardPreset = "classic";
+  let mazeId = "none"; // or a level id: built-in, saved ("custom-…") or "shared"
+  let boardWidthPx = 600; // design units
+  let boardHeightPx = 600;
+  let renderScale = 1; // device pixels per design unit
 
   // Derived visual constants
   const colors = {
@@ -31,131 +147,401 @@
     apple: "#d94d4d",
     gridLine: "rgba(255,255,255,0.05)",
   };
+  // one look per player; player 1 keeps the classic green
+  const snakeSkins = [
+    { head: colors.snakeHead, body: colors.snakeBody },
+    { head: "#e8b05a", body: "#b97c33" },
+    { head: "#6fa8dc", body: "#3d78b0" },
+    { head: "#b48ad8", body: "#7f58a8" },
+    { head: "#9aa5b1", body: "#66717d" },
+  ];
+
+  // Sound effects and music, mixed in audio.js
+  const audio = SnakeAudio.createAudio(window.AudioContext);
+
+  // One plain tone on the effects bus
+  function beep(frequency, durationMs, type = "sine", volume = 0.03) {
+    audio.play([SnakeAudio.tone(frequency, durationMs, type, volume)]);
+  }
 
-  // Sound effects (very small inline beeps using WebAudio)
-  const audioCtx = typeof window.AudioContext !== "undefined" ? new AudioContext() : null;
-  let soundEnabled = true;
+  // Settings: what the dialog shows, saved on every Apply (see settings.js)
+  const settingsKey = "snake_settings";
+  let settings = SnakeSettings.normalize(null);
+  let quality = settings.quality; // what the canvas is set up for
 
-  function beep(frequency, durationMs, type = "sine", volume = 0.03) {
-    if (!audioCtx || !soundEnabled) return;
-    const o = audioCtx.createOscillator();
-    const g = audioCtx.createGain();
-    o.type = type;
-    o.frequency.value = frequency;
-    g.gain.value = volume;
-    o.connect(g).connect(audioCtx.destination);
-    o.start();
-    setTimeout(() => {
-      o.stop();
-      o.disconnect();
-      g.disconnect();
-    }, durationMs);
-  }
-
-  // Game state
-  let snake = [];
-  let direction = { x: 1, y: 0 }; // moving right initially
-  let pendingDirection = { x: 1, y: 0 };
-  let apples = [];
-  let bomb = null; // { x, y }
-  let magnet = null; // { x, y }
-  let magnetActive = false;
-  let magnetUntil = 0; // timestamp in ms
-  const magnetRadiusCells = 3; // how far we auto-eat
-  let rocket = null; // { x, y } pickup
-  let rocketActive = null; // { xPx, yPx, vx, vy, untilMs, dropsLeft, nextDropAt, lastMs }
-  let score = 0;
-  let best = Number(localStorage.getItem("snake_best") || 0);
+  // Game state (rules live in engine.js; the page only renders and routes input)
+  let game = null;
+  let state = null;
   let running = false;
   let paused = false;
   let walls = "wrap"; // or 'wrap'
+  let difficulty = "normal";
   let speedMs = 130; // base speed; will adjust via difficulty
-  let lastTick = 0;
+  // Tick length, power-up tuning and hazards per difficulty (see rules.js)
+  const { difficultySpeeds, difficultyPowerUps, difficultyHazards } = SnakeRules;
+  let mode = "solo"; // or "versus": two players on one keyboard
+  let rivals = 0; // computer-steered snakes sharing the board
+  let aiStrategy = "mixed"; // a SnakeAI strategy name, or "mixed" to give each rival a different one
+  let fixedSeed = new URLSearchParams(location.search).get("seed"); // null → fresh seed every game
+  let cosmeticRandom = Math.random; // re-seeded per game; never touches the game's own sequence
   const lightDir = { x: -0.6, y: -0.8 }; // top-left light
 
+  // Replays: the live run is always recorded; watching one swaps `state` for the player's
+  let recorder = null;
+  let lastReplay = null; // finished recording of the previous run
+  let replayPlayer = null; // set while a replay is on screen
+  let replayPlaying = false;
+  let replaySpeed = 1;
+
+  // High scores: the best runs per difficulty, walls and board (see scores.js)
+  const scoresKey = "snake_scores";
+  const playerNameKey = "snake_name";
+  let runCategory = null; // what this run is ranked under; null when it can't be (versus, rivals, campaign)
+  let latestEntry = null; // the last run that made the table, while its name can still be changed
+  let scoresSort = { field: "score", descending: true };
+
+  // Online leaderboard: only when the page names an API (meta tag or ?leaderboard=). Runs that make the
+  // local table are sent once their name is settled; ones that can't be delivered queue for the service worker.
+  const leaderboardSetting =
+    new URLSearchParams(location.search).get("leaderboard") ||
+    document.querySelector('meta[name="leaderboard-url"]').content;
+  const leaderboardUrl = leaderboardSetting ? new URL(leaderboardSetting, location.href).href : null;
+  const leaderboard = leaderboardUrl ? SnakeLeaderboard.createRestAdapter({ baseUrl: leaderboardUrl }) : null;
+  const onlineRunsKey = "snake_online_runs"; // category key → { id, score } of the best run delivered
+  let pendingSubmission = null; // { key, entry, replay } waiting for the player to confirm their name
+  let onlineRequest = 0; // bumps per online fetch so a slow answer can't overwrite a newer view
+  let submissionError = ""; // why the last run couldn't be sent or queued, shown with the online scores
+
+  // Autopilot: a bot steers the player's snake while it is on (B toggles it, any steering input
+  // hands control back), and plays demo runs when the start screen has sat idle for a while
+  const autopilotStrategy = "hamiltonian";
+  const attractIdleMs = 10000;
+  const demoRestartMs = 3000; // pause on a finished demo before the next one
+  let autopilot = false;
+  let botPlayed = false; // the autopilot steered some of this run, so it can't set a best or earn stars
+  let demo = false; // the run on screen is an attract-mode demo
+  let demoOverMs = 0;
+  let lastInputMs = 0;
+
+  // Versus: rounds until one player has won `roundsToWin` of them
+  const roundsToWin = 3;
+  let roundWins = [0, 0];
+
+  // Campaign: while `campaignStage` is set its rules replace the settings
+  let campaignStage = null;
+  let stageCleared = false; // the current stage's goal was reached; the run is paused on the results screen
+  const campaignKey = "snake_campaign";
+
+  // Daily challenge: while `dailyKey` is set the run is that day's challenge (see daily.js)
+  let dailyKey = null;
+  const dailyHistoryKey = "snake_daily";
+  let dailyMonth = null; // { year, month } the calendar shows
+
+  // Achievements
+  const achievementsKey = "snake_achievements";
+  const toastMs = 3500;
+  let stopAchievements = null; // ends the tracking of the previous run
+  let toasts = []; // { achievement, startMs } unlock notices drawn over the board
+
+  // Scoring: floating "+points" over the board, and where a finished run's points came from
+  const popupMs = 900;
+  let popups = []; // { x, y, text, color, startMs }
+  // snake.points sources (see scoreApple in engine.js), in breakdown order
+  const pointSources = {
+    apples: "Apples",
+    combo: "Combos",
+    length: "Length bonus",
+    risk: "Near misses",
+    time: "Survival bonus",
+    bestCombo: "Best combo bonus",
+    poison: "Poison",
+  };
+
+  // Level editor: while `editing` is set the board shows the level being built, not a game
+  let editing = null;
+  const savedLevelsKey = "snake_levels";
+  let sharedLevelDef = null; // a level opened from a ?level= link
+
   // Offscreen assets for realism
   let groundPattern = null;
   let scalePattern = null;
   let noiseOverlayPattern = null;
+  let wallLayer = null; // the current level's walls, pre-rendered
+  let wallLayerLevel = null;
 
-  bestEl.textContent = String(best);
+  function initGame() {
+    submitPending();
+    const seed = fixedSeed !== null ? fixedSeed : Math.floor(Math.random() * 4294967296);
+    let config;
+    if (campaignStage) config = SnakeCampaign.stageConfig(campaignStage, seed);
+    else if (dailyKey) {
+      dailyKey = SnakeDaily.dateKey(); // a restart after midnight moves on to the new day
+      config = SnakeDaily.config(dailyKey);
+    } else {
+      const { width, height } = boardPresets[boardPreset];
+      const level = playableLevel(mazeId);
+      const players = mode === "versus" ? 2 : 1;
+      const rules = Object.assign({ walls }, difficultyRules());
+      config = Object.assign({ width, height, seed, level, players, rivals }, rules);
+    }
+    // the turn buffer is the player's, whatever the rules (it applies from the next run)
+    game = SnakeEngine.createGame(Object.assign(config, { inputQueue: settings.inputBuffer }));
+    if (roundWins.includes(roundsToWin)) roundWins = [0, 0]; // the last match is over: start a new one
+    state = game.getState();
+    game.bus.on("*", playEvent);
+    game.bus.on("*", addPopup);
+    game.bus.on("*", vibrateFor);
+    if (stopAchievements) stopAchievements();
+    stopAchievements = SnakeAchievements.track(game.bus, loadAchievements(), unlockAchievement);
+    resizeCanvas();
+    cosmeticRandom = SnakeEngine.createRng(state.config.seed ^ 0x5bd1e995);
+    recorder = SnakeReplay.createRecorder(state.config);
+    replayPlayer = null;
+    replayBar.classList.add("hidden");
+    editing = null;
+    editorBar.classList.add("hidden");
+    demo = false;
+    botPlayed = autopilot;
+    runCategory = rankedCategory();
+    nameForm.classList.add("hidden");
+    scoreBreakdownEl.classList.add("hidden");
+    popups = [];
+    updateBest();
+    overlay.classList.remove("demo");
+    updateScores();
+    overlayDetail.classList.add("hidden");
+    overlayActions.classList.add("hidden");
+    running = false;
+    paused = false;
+    stageCleared = false;
+    overlay.classList.remove("hidden");
+    overlaySubtext.classList.remove("hidden");
+    overlayText.textContent = `Tap or press ${keyFor("start")} to start`;
+    if (state.config.players > 1) {
+      overlayText.textContent = `Round ${roundWins[0] + roundWins[1] + 1} — tap or press ${keyFor("start")} to start`;
+      overlayDetail.textContent = `Player 1: ${steerKeys("p1")} · Player 2: ${steerKeys("p2")}`;
+      overlayDetail.classList.remove("hidden");
+    }
+    goalStat.classList.toggle("hidden", !campaignStage);
+    if (campaignStage) {
+      const stage = `Stage ${campaignStage.id}: ${campaignStage.name}`;
+      overlayText.textContent = `${stage} — tap or press ${keyFor("start")} to start`;
+      overlayDetail.textContent = `Goal: ${SnakeCampaign.describe(campaignStage.goal)}`;
+      overlayDetail.classList.remove("hidden");
+      updateGoal();
+    }
+    dailyStat.classList.toggle("hidden", !dailyKey);
+    if (dailyKey) {
+      const day = loadDailyHistory()[dailyKey];
+      dailyBestEl.textContent = day ? String(day.best) : "–";
+      overlayText.textContent = `Daily #${SnakeDaily.number(dailyKey)} — tap or press ${keyFor("start")} to start`;
+      overlayDetail.textContent = day
+        ? `Best today ${day.best} after ${count(day.attempts, "attempt")}`
+        : "Same board for everyone today · only your best attempt counts";
+      overlayDetail.classList.remove("hidden");
+    }
+    resetInterpolation();
+  }
 
-  // Helpers
-  const coordEq = (a, b) => a.x === b.x && a.y === b.y;
-  function randomEmptyCell() {
-    while (true) {
-      const candidate = {
-        x: Math.floor(Math.random() * gridWidth),
-        y: Math.floor(Math.random() * gridHeight),
-      };
-      if (!snake.some((s) => coordEq(s, candidate))) {
-        return candidate;
-      }
+  // Settings storage (see settings.js)
+  function loadSettings() {
+    try {
+      return SnakeSettings.normalize(JSON.parse(localStorage.getItem(settingsKey)));
+    } catch (_) {
+      return SnakeSettings.normalize(null);
     }
   }
 
-  function isCellOccupiedBySnake(pos) {
-    return snake.some((s) => coordEq(s, pos));
+  function storeSettings() {
+    localStorage.setItem(settingsKey, JSON.stringify(SnakeSettings.toStorage(settings)));
   }
 
-  function isCellOccupied(pos) {
-    if (isCellOccupiedBySnake(pos)) return true;
-    if (bomb && coordEq(bomb, pos)) return true;
-    if (magnet && coordEq(magnet, pos)) return true;
-    if (rocket && coordEq(rocket, pos)) return true;
-    if (apples.some((a) => coordEq(a, pos))) return true;
-    return false;
+  // One checkbox per registered power-up, for switching it off
+  function fillPowerUpToggles() {
+    powerUpTogglesEl.textContent = "";
+    for (const entry of SnakeEngine.powerUps) {
+      const look = powerUpLooks[entry.id] || {};
+      const label = document.createElement("label");
+      label.className = "power-up-toggle";
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.value = entry.id;
+      label.append(box, `${look.icon ? look.icon + " " : ""}${look.label || entry.id}`);
+      powerUpTogglesEl.appendChild(label);
+    }
   }
 
-  function randomEmptyCellTotal() {
-    while (true) {
-      const candidate = {
-        x: Math.floor(Math.random() * gridWidth),
-        y: Math.floor(Math.random() * gridHeight),
-      };
-      if (!isCellOccupied(candidate)) return candidate;
+  const customInputs = {
+    tickMs: customTickMsInput,
+    powerUpRate: customPowerUpRateInput,
+    poisonChance: customPoisonChanceInput,
+    rotTicks: customRotTicksInput,
+    patrols: customPatrolsInput,
+    patrolEvery: customPatrolEveryInput,
+    curveEvery: customCurveEveryInput,
+    curveStepMs: customCurveStepInput,
+    curveMinTickMs: customCurveMinInput,
+  };
+
+  // Puts settings into the dialog's fields (the maze select is refreshMazeOptions' job)
+  function showSettings(values) {
+    modeSelect.value = values.mode;
+    rivalsSelect.value = String(values.rivals);
+    aiStrategySelect.value = values.aiStrategy;
+    difficultySelect.value = values.difficulty;
+    customDifficultyFields.classList.toggle("hidden", values.difficulty !== "custom");
+    for (const field of Object.keys(customInputs)) {
+      customInputs[field].value = values.custom[field] === null ? "" : String(values.custom[field]);
     }
+    speedCurveSelect.value = values.speedCurve;
+    adaptiveSelect.value = values.adaptive ? "on" : "off";
+    wallsSelect.value = values.walls;
+    boardSelect.value = values.board;
+    soundSelect.value = values.sound ? "on" : "off";
+    volumeInput.value = String(values.volume);
+    musicVolumeInput.value = String(values.musicVolume);
+    sfxVolumeInput.value = String(values.sfxVolume);
+    powerUpTogglesEl.querySelectorAll("input").forEach((box) => (box.checked = values.powerUps[box.value] !== false));
+    qualitySelect.value = values.quality;
+    controlsSelect.value = values.controls;
+    touchSensitivityInput.value = String(values.touchSensitivity);
+    hapticsSelect.value = values.haptics ? "on" : "off";
+    inputBufferSelect.value = String(values.inputBuffer);
   }
 
-  function initGame() {
-    const startX = Math.floor(gridWidth / 3);
-    const startY = Math.floor(gridHeight / 2);
-    snake = [
-      { x: startX + 2, y: startY },
-      { x: startX + 1, y: startY },
-      { x: startX, y: startY },
-    ];
-    direction = { x: 1, y: 0 };
-    pendingDirection = { x: 1, y: 0 };
-    apples = [randomEmptyCellTotal()];
-    bomb = null;
-    rocket = null;
-    rocketActive = null;
-    magnet = null;
-    magnetActive = false;
-    magnetUntil = 0;
-    score = 0;
-    scoreEl.textContent = "0";
-    running = false;
-    paused = false;
-    overlay.classList.remove("hidden");
-    overlaySubtext.classList.remove("hidden");
-    overlayText.textContent = "Tap or press Space to start";
-    lastTick = 0;
+  // Reads the dialog's fields; custom difficulty numbers are clamped to their field's range
+  function readSettingsForm() {
+    const number = (input) => Math.min(Number(input.max), Math.max(Number(input.min), Number(input.value)));
+    const custom = {};
+    for (const field of Object.keys(customInputs)) {
+      const input = customInputs[field];
+      custom[field] = input.value !== "" ? number(input) : SnakeSettings.defaults.custom[field];
+    }
+    const powerUps = {};
+    powerUpTogglesEl.querySelectorAll("input").forEach((box) => {
+      if (!box.checked) powerUps[box.value] = false;
+    });
+    return SnakeSettings.normalize({
+      mode: modeSelect.value,
+      rivals: Number(rivalsSelect.value) || 0,
+      aiStrategy: aiStrategySelect.value,
+      difficulty: difficultySelect.value,
+      custom,
+      speedCurve: speedCurveSelect.value,
+      adaptive: adaptiveSelect.value === "on",
+      walls: wallsSelect.value,
+      board: boardSelect.value,
+      maze: mazeSelect.value === "shared" ? settings.maze : mazeSelect.value, // a shared link's level isn't kept
+      sound: soundSelect.value === "on",
+      volume: Number(volumeInput.value),
+      musicVolume: Number(musicVolumeInput.value),
+      sfxVolume: Number(sfxVolumeInput.value),
+      powerUps,
+      quality: qualitySelect.value,
+      controls: controlsSelect.value,
+      touchSensitivity: Number(touchSensitivityInput.value),
+      haptics: hapticsSelect.value === "on",
+      inputBuffer: Number(inputBufferSelect.value),
+      keys: settings.keys, // edited in their own dialog
+    });
+  }
+
+  // The engine rules the difficulty settings give
+  function difficultyRules() {
+    let tickMs = difficultySpeeds[difficulty] || 210;
+    let powerUps = difficultyPowerUps[difficulty] || null;
+    let hazards = difficultyHazards[difficulty] || null;
+    let curve = null;
+    if (difficulty === "custom") {
+      const custom = settings.custom;
+      tickMs = custom.tickMs;
+      const rate = custom.powerUpRate / 100;
+      powerUps = null;
+      if (rate !== 1) {
+        powerUps = {};
+        for (const entry of SnakeEngine.powerUps) powerUps[entry.id] = { chance: entry.chance * rate };
+      }
+      hazards = {
+        poisonChance: custom.poisonChance / 100,
+        rotTicks: custom.rotTicks,
+        patrols: custom.patrols,
+        patrolEvery: custom.patrolEvery,
+      };
+      // unset curve fields keep the curve type's defaults (speedCurveDefaults in engine.js)
+      curve = {};
+      if (custom.curveEvery !== null) curve.every = custom.curveEvery;
+      if (custom.curveStepMs !== null) curve.stepMs = custom.curveStepMs;
+      if (custom.curveMinTickMs !== null) curve.minTickMs = custom.curveMinTickMs;
+    }
+    const switchedOff = Object.keys(settings.powerUps);
+    if (switchedOff.length) {
+      powerUps = Object.assign({}, powerUps);
+      for (const id of switchedOff) powerUps[id] = false;
+    }
+    const { speedCurve, adaptive } = settings;
+    return {
+      tickMs,
+      powerUps,
+      hazards,
+      speedCurve: speedCurve !== "constant" ? Object.assign({ type: speedCurve }, curve) : null,
+      adaptive,
+    };
   }
 
   function applySettingsFromUI() {
-    const diff = difficultySelect.value;
-    walls = wallsSelect.value;
-    soundEnabled = soundSelect.value === "on";
-    const speeds = { easy: 260, normal: 210, hard: 160 };
-    speedMs = speeds[diff] || 210;
+    settings = readSettingsForm();
+    storeSettings();
+    difficulty = settings.difficulty;
+    walls = settings.walls;
+    audio.setEnabled(settings.sound);
+    const { volume, musicVolume, sfxVolume } = settings;
+    audio.setVolumes({ master: volume / 100, music: musicVolume / 100, sfx: sfxVolume / 100 });
+    fixedSeed = seedInput.value.trim() || null;
+    document.body.dataset.controls = settings.controls;
+    bindKeys();
+    updateControlsHint();
+    if (settings.quality !== quality) {
+      quality = settings.quality;
+      if (state) resizeCanvas();
+    }
+    const boardChanged =
+      boardSelect.value !== boardPreset ||
+      mazeSelect.value !== mazeId ||
+      settings.mode !== mode ||
+      settings.rivals !== rivals;
+    if (settings.mode !== mode) roundWins = [0, 0];
+    mode = settings.mode;
+    rivals = settings.rivals;
+    aiStrategy = settings.aiStrategy;
+    boardPreset = boardPresets[boardSelect.value] ? boardSelect.value : "classic";
+    mazeId = mazeSelect.value;
+    const rules = difficultyRules();
+    speedMs = rules.tickMs;
+    // the running game picks up the new rules immediately (and the replay notes it)
+    const level = state && state.config.level;
+    const edges = (level && level.edges) || walls; // some mazes fix their edges
+    const fixedRules = campaignStage || dailyKey; // campaign stages and the daily ignore these settings
+    const patch = Object.assign({ walls: edges }, rules);
+    const differs = (field) => JSON.stringify(state.config[field]) !== JSON.stringify(patch[field]);
+    const rulesChanged = state && Object.keys(patch).some(differs);
+    if (game && !replayPlayer && !fixedRules && rulesChanged) {
+      Object.assign(state.config, patch);
+      recorder.configure(state.tick, patch);
+      // a run whose rules change once it's under way doesn't fit any one category
+      runCategory = state.tick === 0 ? rankedCategory() : null;
+      updateBest();
+    }
+    // a different board, maze, mode or rival count needs a fresh game (and leaves the campaign or daily)
+    if (game && !replayPlayer && boardChanged) {
+      campaignStage = null;
+      dailyKey = null;
+      initGame();
+    }
   }
 
   function startGame() {
-    if (audioCtx && audioCtx.state === "suspended") {
-      audioCtx.resume();
-    }
+    if (state.over || stageCleared) return; // a finished run only restarts with R
+    audio.resume();
     running = true;
     paused = false;
     overlay.classList.add("hidden");
@@ -164,152 +550,631 @@
 
   function gameOver() {
     running = false;
+    if (demo) {
+      demoOverMs = performance.now();
+      return;
+    }
     overlay.classList.remove("hidden");
     overlaySubtext.classList.remove("hidden");
-    overlayText.textContent = "Game Over — press R to restart";
-    beep(150, 200, "sawtooth", 0.05);
-    if (score > best) {
-      best = score;
-      localStorage.setItem("snake_best", String(best));
-      bestEl.textContent = String(best);
-    }
-  }
-
-  function maybeSpawnBomb() {
-    // low probability each tick if none present
-    if (bomb) return;
-    if (Math.random() < 0.02 && apples.length >= 1) {
-      const pos = randomEmptyCellTotal();
-      // avoid spawning too close to head
-      const head = snake[0];
-      if (Math.hypot(pos.x - head.x, pos.y - head.y) > 4) {
-        bomb = pos;
-      }
+    overlayText.textContent = `Game Over — press ${keyFor("restart")} to restart`;
+    overlayDetail.textContent = `Seed ${state.config.seed}`;
+    if (campaignStage) {
+      const result = SnakeCampaign.evaluate(campaignStage, state);
+      overlayText.textContent = `Stage failed — press ${keyFor("restart")} to retry`;
+      overlayDetail.textContent = `${result.reason} · ${result.value}/${result.target} · Seed ${state.config.seed}`;
+    }
+    if (state.config.players > 1) endRound();
+    const rivalScores = state.snakes.filter((snake) => snake.rival).map((snake) => snake.score);
+    if (rivalScores.length) {
+      overlayDetail.textContent = `Rivals ${rivalScores.join(", ")} · ${overlayDetail.textContent}`;
     }
+    overlayDetail.classList.remove("hidden");
+    showBreakdown(state.snakes[0]);
+    lastReplay = recorder.finish(state);
+    overlayActions.classList.remove("hidden");
+    nextStageBtn.classList.add("hidden");
+    stageSelectBtn.classList.toggle("hidden", !campaignStage);
+    dailyCopyBtn.classList.toggle("hidden", !dailyKey);
+    dailyCalendarBtn.classList.toggle("hidden", !dailyKey);
+    if (dailyKey) recordDailyAttempt();
+    if (runCategory && !botPlayed) recordScore();
   }
 
-  function spawnAppleExplosion(origin, count, radius) {
-    const candidates = [];
-    for (let i = 0; i < count; i++) {
-      const angle = (i / count) * Math.PI * 2 + Math.random() * 0.4;
-      const dist = 2 + Math.floor(Math.random() * radius);
-      const pos = {
-        x: origin.x + Math.round(Math.cos(angle) * dist),
-        y: origin.y + Math.round(Math.sin(angle) * dist),
-      };
-      let wrapped = pos;
-      if (walls === "wrap") {
-        wrapped = { x: (pos.x + gridWidth) % gridWidth, y: (pos.y + gridHeight) % gridHeight };
+  // High scores
+  function loadScores() {
+    try {
+      return SnakeScores.normalize(JSON.parse(localStorage.getItem(scoresKey) || "{}"));
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function storeScores(table) {
+    localStorage.setItem(scoresKey, JSON.stringify(table));
+  }
+
+  function rankedCategory() {
+    if (campaignStage || dailyKey || state.snakes.length > 1) return null;
+    // the tables compare like with like: custom rules and changing speeds don't fit a category...
+    if (difficulty === "custom" || settings.speedCurve !== "constant" || settings.adaptive) return null;
+    if (Object.keys(settings.powerUps).length) return null; // nor do runs with power-ups switched off
+    return { difficulty, walls: state.config.walls, board: mazeId !== "none" ? mazeId : boardPreset };
+  }
+
+  function updateBest() {
+    const key = runCategory && SnakeScores.categoryKey(runCategory);
+    bestEl.textContent = key ? String(SnakeScores.bestScore(loadScores(), key)) : "–";
+  }
+
+  function boardName(id) {
+    const preset = Array.from(boardSelect.options).find((o) => o.value === id);
+    if (preset) return preset.textContent;
+    const def = findLevelDef(id);
+    return def ? def.name : id;
+  }
+
+  function categoryName(category) {
+    const diff = category.difficulty.charAt(0).toUpperCase() + category.difficulty.slice(1);
+    return `${diff} · ${category.walls === "wrap" ? "Wrap" : "Solid"} · ${boardName(category.board)}`;
+  }
+
+  function recordScore() {
+    const table = loadScores();
+    const entry = SnakeScores.entryFromState(state, localStorage.getItem(playerNameKey) || "Player");
+    const rank = SnakeScores.addEntry(table, SnakeScores.categoryKey(runCategory), entry);
+    if (rank === -1) return;
+    storeScores(table);
+    latestEntry = entry;
+    if (leaderboard) pendingSubmission = { key: SnakeScores.categoryKey(runCategory), entry, replay: lastReplay };
+    updateBest();
+    const title = rank === 0 ? "New best" : `High score #${rank + 1}`;
+    overlayText.textContent = `${title}! — press ${keyFor("restart")} to restart`;
+    overlayDetail.textContent = `${categoryName(runCategory)} · ${overlayDetail.textContent}`;
+    scoreNameInput.value = entry.name;
+    nameForm.classList.remove("hidden");
+  }
+
+  function renameLatestEntry(name) {
+    const table = loadScores();
+    for (const entries of Object.values(table)) {
+      const entry = entries.find((e) => e.date === latestEntry.date && e.seed === latestEntry.seed);
+      if (entry) entry.name = name;
+    }
+    storeScores(table);
+    latestEntry.name = name;
+    localStorage.setItem(playerNameKey, name);
+  }
+
+  function submitPending() {
+    if (!pendingSubmission) return;
+    submissionError = "";
+    submitOnline(pendingSubmission).catch((err) => {
+      submissionError = `Couldn't send your last run: ${err.message}`;
+      if (scoresDialog.open && scoresSourceSelect.value === "online") renderScores();
+    });
+    pendingSubmission = null;
+  }
+
+  async function submitOnline({ key, entry, replay }) {
+    const submission = SnakeLeaderboard.createSubmission(key, entry, replay);
+    try {
+      rememberOnlineRun({ submission, result: await leaderboard.submit(submission) });
+    } catch (err) {
+      if (!SnakeLeaderboard.isRetryable(err)) throw err; // turned down by the server: sending it again won't help, so say why
+      await SnakeLeaderboard.enqueue(leaderboardUrl, submission);
+      if ("serviceWorker" in navigator && "SyncManager" in window) {
+        const registration = await navigator.serviceWorker.ready;
+        await registration.sync.register(SnakeLeaderboard.syncTag);
       }
-      if (wrapped.x < 0 || wrapped.y < 0 || wrapped.x >= gridWidth || wrapped.y >= gridHeight) continue;
-      if (!isCellOccupied(wrapped)) candidates.push(wrapped);
-    }
-    // add candidates to apples
-    for (const p of candidates) {
-      apples.push(p);
-    }
-  }
-  function startRocket(cell, nowMs) {
-    const cx = cell.x * cellSizePx + cellSizePx / 2;
-    const cy = cell.y * cellSizePx + cellSizePx / 2;
-    const speed = 240; // px/s
-    const angle = Math.random() * Math.PI * 2;
-    rocketActive = {
-      xPx: cx,
-      yPx: cy,
-      vx: Math.cos(angle) * speed,
-      vy: Math.sin(angle) * speed,
-      untilMs: nowMs + 10000,
-      dropsLeft: 40,
-      nextDropAt: nowMs + 250,
-      lastMs: nowMs,
-    };
+    }
   }
 
-  function updateRocket(nowMs) {
-    if (!rocketActive) return;
-    const dt = (nowMs - rocketActive.lastMs) / 1000;
-    rocketActive.lastMs = nowMs;
-    rocketActive.xPx += rocketActive.vx * dt;
-    rocketActive.yPx += rocketActive.vy * dt;
-    const margin = cellSizePx * 0.4;
-    if (rocketActive.xPx < margin) {
-      rocketActive.xPx = margin;
-      rocketActive.vx *= -1;
-    }
-    if (rocketActive.xPx > boardSizePx - margin) {
-      rocketActive.xPx = boardSizePx - margin;
-      rocketActive.vx *= -1;
-    }
-    if (rocketActive.yPx < margin) {
-      rocketActive.yPx = margin;
-      rocketActive.vy *= -1;
-    }
-    if (rocketActive.yPx > boardSizePx - margin) {
-      rocketActive.yPx = boardSizePx - margin;
-      rocketActive.vy *= -1;
-    }
-    // random steering
-    if (Math.random() < 0.1) {
-      const a = (Math.random() - 0.5) * 0.4;
-      const s = Math.hypot(rocketActive.vx, rocketActive.vy);
-      const ang = Math.atan2(rocketActive.vy, rocketActive.vx) + a;
-      rocketActive.vx = Math.cos(ang) * s;
-      rocketActive.vy = Math.sin(ang) * s;
-    }
-    while (rocketActive.dropsLeft > 0 && nowMs >= rocketActive.nextDropAt) {
-      const cell = pixelToNearestCell(rocketActive.xPx, rocketActive.yPx);
-      const drop = jitterCell(cell, 1);
-      if (drop && !isCellOccupied(drop)) apples.push(drop);
-      rocketActive.dropsLeft -= 1;
-      rocketActive.nextDropAt += 250; // every 0.25s → 40 over 10s
-    }
-    if (nowMs >= rocketActive.untilMs) rocketActive = null;
-  }
-
-  function pixelToNearestCell(px, py) {
-    return {
-      x: Math.max(0, Math.min(gridWidth - 1, Math.round((px - cellSizePx / 2) / cellSizePx))),
-      y: Math.max(0, Math.min(gridHeight - 1, Math.round((py - cellSizePx / 2) / cellSizePx))),
-    };
+  function loadOnlineRuns() {
+    try {
+      return JSON.parse(localStorage.getItem(onlineRunsKey) || "{}");
+    } catch (_) {
+      return {};
+    }
+  }
+
+  // "Around me" centres on the best run this device has delivered in a category
+  function rememberOnlineRun({ submission, result }) {
+    const runs = loadOnlineRuns();
+    const known = runs[submission.category];
+    if (known && known.score >= submission.score) return;
+    runs[submission.category] = { id: result.id, score: submission.score };
+    localStorage.setItem(onlineRunsKey, JSON.stringify(runs));
+  }
+
+  function scoresFilter() {
+    return { difficulty: scoresDifficultySelect.value, walls: scoresWallsSelect.value, board: scoresBoardSelect.value };
   }
 
-  function jitterCell(cell, maxOffset) {
-    const nx = cell.x + (Math.floor(Math.random() * (2 * maxOffset + 1)) - maxOffset);
-    const ny = cell.y + (Math.floor(Math.random() * (2 * maxOffset + 1)) - maxOffset);
-    const pos = { x: nx, y: ny };
-    if (walls === "wrap") {
-      pos.x = (pos.x + gridWidth) % gridWidth;
-      pos.y = (pos.y + gridHeight) % gridHeight;
+  function fillScoresBoardOptions(table) {
+    const selected = scoresBoardSelect.value || "all";
+    const ids = Array.from(boardSelect.options).map((o) => o.value);
+    if (runCategory && !ids.includes(runCategory.board)) ids.push(runCategory.board);
+    for (const key of Object.keys(table)) {
+      const { board } = SnakeScores.parseCategory(key);
+      if (!ids.includes(board)) ids.push(board);
+    }
+    scoresBoardSelect.textContent = "";
+    for (const id of ["all"].concat(ids)) {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = id === "all" ? "All" : boardName(id);
+      scoresBoardSelect.appendChild(opt);
     }
-    if (pos.x < 0 || pos.y < 0 || pos.x >= gridWidth || pos.y >= gridHeight) return null;
-    return pos;
+    scoresBoardSelect.value = ids.includes(selected) ? selected : "all";
   }
 
-  function maybeSpawnRocket() {
-    if (rocket || rocketActive) return;
-    if (Math.random() < 0.012) {
-      const pos = randomEmptyCellTotal();
-      const head = snake[0];
-      if (Math.hypot(pos.x - head.x, pos.y - head.y) > 4) rocket = pos;
+  function appendScoreRow(row, highlight) {
+    const tr = document.createElement("tr");
+    tr.classList.toggle("latest", highlight);
+    const cells = [
+      `#${row.rank + 1}`,
+      row.name,
+      row.score,
+      row.length,
+      formatDuration(row.durationMs),
+      row.apples,
+      row.powerUps,
+      categoryName(row.category),
+      row.seed,
+      new Date(row.date).toLocaleDateString(),
+    ];
+    for (const value of cells) {
+      const td = document.createElement("td");
+      td.textContent = String(value);
+      tr.appendChild(td);
     }
+    scoresBody.appendChild(tr);
   }
 
-  function drawRocketPickup() {
-    if (!rocket) return;
-    const x = rocket.x * cellSizePx,
-      y = rocket.y * cellSizePx;
-    const cx = x + cellSizePx / 2,
-      cy = y + cellSizePx / 2;
-    const r = (cellSizePx - 6) / 2;
-    // shadow
+  function setScoresMessage(text) {
+    scoresEmpty.textContent = text;
+    scoresEmpty.classList.toggle("hidden", !text);
+  }
+
+  function renderScores() {
+    const online = scoresSourceSelect.value === "online";
+    scoresClearBtn.disabled = scoresExportBtn.disabled = online;
+    scoresBody.textContent = "";
+    scoresDialog.querySelectorAll("th").forEach((th) => {
+      const btn = th.querySelector("button");
+      if (!online && btn && btn.dataset.sort === scoresSort.field) {
+        th.setAttribute("aria-sort", scoresSort.descending ? "descending" : "ascending");
+      } else th.removeAttribute("aria-sort");
+    });
+    if (online) {
+      renderOnlineScores();
+      return;
+    }
+    const rows = SnakeScores.list(loadScores(), scoresFilter(), scoresSort.field, scoresSort.descending);
+    for (const row of rows) {
+      appendScoreRow(row, Boolean(latestEntry && row.date === latestEntry.date && row.seed === latestEntry.seed));
+    }
+    setScoresMessage(rows.length ? "" : "No scores yet for these rules.");
+  }
+
+  // Online: the top of the category, then the runs around this device's best if it ranks lower
+  async function renderOnlineScores() {
+    const filter = scoresFilter();
+    const request = ++onlineRequest;
+    if (Object.values(filter).includes("all")) {
+      setScoresMessage("Pick a difficulty, walls and board to see online scores.");
+      return;
+    }
+    const key = SnakeScores.categoryKey(filter);
+    const mine = loadOnlineRuns()[key];
+    setScoresMessage("Loading…");
+    try {
+      const near = mine ? { id: mine.id } : { score: SnakeScores.bestScore(loadScores(), key) };
+      const [top, around] = await Promise.all([
+        leaderboard.top(key, SnakeScores.limit),
+        leaderboard.aroundMe(key, near),
+      ]);
+      if (request !== onlineRequest) return;
+      const below = around.filter((row) => row.rank >= top.length);
+      const rows = top.concat(below);
+      rows.forEach((row, i) => {
+        if (i === top.length && below[0].rank > top.length) appendGapRow();
+        appendScoreRow(Object.assign({ category: filter }, row), Boolean(mine && row.id === mine.id));
+      });
+      setScoresMessage(submissionError || (rows.length ? "" : "No online scores yet for these rules."));
+    } catch (err) {
+      if (request === onlineRequest) setScoresMessage(submissionError || `Couldn't load online scores: ${err.message}`);
+    }
+  }
+
+  function appendGapRow() {
+    const tr = document.createElement("tr");
+    const td = document.createElement("td");
+    td.colSpan = scoresDialog.querySelectorAll("th").length;
+    td.textContent = "…";
+    tr.appendChild(td);
+    scoresBody.appendChild(tr);
+  }
+
+  function openScores() {
+    if (runCategory) {
+      scoresDifficultySelect.value = runCategory.difficulty;
+      scoresWallsSelect.value = runCategory.walls;
+    }
+    fillScoresBoardOptions(loadScores());
+    if (runCategory) scoresBoardSelect.value = runCategory.board;
+    renderScores();
+    scoresDialog.showModal();
+  }
+
+  function updateScores() {
+    const versus = state.config.players > 1;
+    scoreEl.textContent = String(state.snakes[0].score);
+    scoreLabel.textContent = versus ? "P1" : "Score";
+    score2Stat.classList.toggle("hidden", !versus);
+    roundsStat.classList.toggle("hidden", !versus || Boolean(replayPlayer));
+    if (versus) {
+      score2El.textContent = String(state.snakes[1].score);
+      roundsEl.textContent = `${roundWins[0]}–${roundWins[1]}`;
+    }
+    updateEffectsHud();
+    updateSpeedHud();
+  }
+
+  // Speed level 1 is the tick length the rules start with; the speed curve and adaptive mode move it
+  function updateSpeedHud() {
+    speedLevelEl.textContent = `Lv ${SnakeEngine.speedLevel(state) + 1}`;
+    speedLevelEl.parentElement.title = `${SnakeEngine.baseTickMs(state)} ms per move`;
+  }
+
+  // Versus: the last snake moving takes the round; a head-on crash is a draw
+  function endRound() {
+    if (state.winner !== null) roundWins[state.winner] += 1;
+    updateScores();
+    const matchWinner = roundWins.indexOf(roundsToWin);
+    const score = `Rounds ${roundWins[0]}–${roundWins[1]} · first to ${roundsToWin}`;
+    const restart = keyFor("restart");
+    if (matchWinner !== -1) {
+      overlayText.textContent = `Player ${matchWinner + 1} wins the match! — press ${restart} for a new match`;
+      overlayDetail.textContent = `${score} · Seed ${state.config.seed}`;
+    } else {
+      const result = state.winner === null ? "Draw" : `Player ${state.winner + 1} wins the round`;
+      overlayText.textContent = `${result} — press ${restart} for the next round`;
+      overlayDetail.textContent = `${score} · Seed ${state.config.seed}`;
+    }
+  }
+
+  // How each power-up in the engine's registry (SnakeEngine.powerUps) looks and sounds:
+  // `draw(item)` for the pickup, `drawEffect` while it lasts — `(effect, head)` on a snake,
+  // `(effect, alpha)` on the board — and `sound` as voices for the pickup (see audio.js).
+  // Lasting ones show in the HUD as `icon` and a countdown; `snakeAlpha` fades the snake.
+  // `label` and `icon` also name each one in the settings' power-up switches.
+  const powerUpLooks = {
+    bomb: {
+      label: "Bomb",
+      icon: "💣",
+      draw: drawBomb,
+      sound: SnakeAudio.presets.bomb,
+    },
+    magnet: {
+      label: "Magnet",
+      icon: "🧲",
+      draw: drawMagnet,
+      drawEffect: (effect, head) => drawMagnetAura(head),
+      sound: SnakeAudio.presets.magnet,
+    },
+    rocket: {
+      label: "Rocket",
+      icon: "🚀",
+      draw: drawRocketPickup,
+      drawEffect: drawRocketActive,
+      sound: SnakeAudio.presets.rocket,
+    },
+    slowmo: {
+      label: "Slow motion",
+      icon: "⏱️",
+      draw: drawSlowmo,
+      drawEffect: drawSlowmoTint,
+      sound: [
+        SnakeAudio.tone(520, 120, "sine", 0.05),
+        SnakeAudio.tone(330, 260, "sine", 0.04),
+      ],
+    },
+    ghost: {
+      label: "Ghost",
+      icon: "👻",
+      snakeAlpha: 0.5,
+      draw: drawGhost,
+      drawEffect: (effect, head) => drawHeadGlow(head, "226,232,240"),
+      sound: [
+        SnakeAudio.tone(660, 140, "sine", 0.03),
+        SnakeAudio.tone(990, 220, "sine", 0.025),
+      ],
+    },
+    shrink: {
+      label: "Shrink",
+      icon: "✂️",
+      draw: drawShrink,
+      sound: [
+        SnakeAudio.tone(600, 60, "square", 0.035),
+        SnakeAudio.tone(420, 60, "square", 0.035),
+        SnakeAudio.tone(260, 100, "square", 0.03),
+      ],
+    },
+    multiplier: {
+      label: "Double points",
+      icon: "×2",
+      draw: drawMultiplier,
+      drawEffect: drawMultiplierBadge,
+      sound: [
+        SnakeAudio.tone(880, 70, "triangle", 0.05),
+        SnakeAudio.tone(1320, 140, "triangle", 0.05),
+      ],
+    },
+    shield: {
+      label: "Shield",
+      icon: "🛡️",
+      draw: drawShield,
+      drawEffect: drawShieldRing,
+      sound: [
+        SnakeAudio.tone(440, 80, "triangle", 0.05),
+        SnakeAudio.tone(660, 80, "triangle", 0.045),
+        SnakeAudio.tone(880, 160, "sine", 0.04),
+      ],
+    },
+  };
+
+  function drawPowerUps(bodies, alpha) {
+    for (const item of state.items) {
+      const look = powerUpLooks[item.type];
+      if (look) look.draw(item);
+    }
+    state.snakes.forEach((snake, i) => {
+      if (!snake.alive) return;
+      for (const id of Object.keys(snake.effects)) {
+        const look = powerUpLooks[id];
+        if (look && look.drawEffect) look.drawEffect(snake.effects[id], bodies[i][0]);
+      }
+    });
+    for (const effect of state.effects) {
+      const look = powerUpLooks[effect.type];
+      if (look && look.drawEffect) look.drawEffect(effect, alpha);
+    }
+  }
+
+  // Effects like the ghost make a snake see-through
+  function snakeOpacity(snake) {
+    return Object.keys(snake.effects).reduce((o, id) => o * ((powerUpLooks[id] || {}).snakeAlpha || 1), 1);
+  }
+
+  // Player 1's lasting power-ups and the board's, with the seconds each has left
+  function updateEffectsHud() {
+    const effects = state.snakes[0].effects;
+    const active = Object.keys(effects)
+      .map((id) => ({ id, untilMs: effects[id].untilMs }))
+      .concat(state.effects.map((effect) => ({ id: effect.type, untilMs: effect.untilMs })))
+      .filter((e) => e.untilMs > state.timeMs && powerUpLooks[e.id] && powerUpLooks[e.id].icon);
+    effectsStat.classList.toggle("hidden", active.length === 0);
+    effectsStat.textContent = "";
+    for (const e of active) {
+      const look = powerUpLooks[e.id];
+      const chip = document.createElement("span");
+      chip.className = "effect-chip";
+      chip.title = look.label;
+      chip.textContent = `${look.icon} ${Math.ceil((e.untilMs - state.timeMs) / 1000)}s`;
+      effectsStat.appendChild(chip);
+    }
+  }
+
+  // The soft shadow under anything on the board that is drawn centered at (cx, cy) with radius r
+  function drawShadow(cx, cy, r, opacity = 0.35) {
+    if (quality === "low") return; // blurring is the costly part
     ctx.save();
-    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    ctx.fillStyle = `rgba(0,0,0,${opacity})`;
     ctx.filter = "blur(3px)";
     ctx.beginPath();
     ctx.ellipse(cx + 2, cy + r, r * 0.9, r * 0.45, 0, 0, Math.PI * 2);
     ctx.fill();
     ctx.restore();
+  }
+
+  // Common to the pickups: the shadow under the item, and its center and radius
+  function drawItemShadow(item, opacity) {
+    const r = (cellSizePx - 6) / 2;
+    const cx = item.x * cellSizePx + cellSizePx / 2;
+    const cy = item.y * cellSizePx + cellSizePx / 2;
+    drawShadow(cx, cy, r, opacity);
+    return { cx, cy, r };
+  }
+
+  function drawSlowmo(item) {
+    const { cx, cy, r } = drawItemShadow(item);
+    ctx.save();
+    ctx.translate(cx, cy + r * 0.1);
+    // crown and button
+    ctx.fillStyle = "#0369a1";
+    ctx.fillRect(-r * 0.18, -r * 1.05, r * 0.36, r * 0.25);
+    ctx.fillRect(-r * 0.32, -r * 1.18, r * 0.64, r * 0.16);
+    // face
+    const face = ctx.createRadialGradient(-r * 0.3, -r * 0.3, r * 0.1, 0, 0, r * 0.85);
+    face.addColorStop(0, "#f0f9ff");
+    face.addColorStop(1, "#7dd3fc");
+    ctx.fillStyle = face;
+    ctx.strokeStyle = "#0369a1";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, r * 0.8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    // hands: the long one sweeps slowly
+    const sweep = (Date.now() / 1600) % (Math.PI * 2);
+    ctx.strokeStyle = "#0c4a6e";
+    ctx.lineCap = "round";
+    ctx.lineWidth = 1.6;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(Math.sin(sweep) * r * 0.6, -Math.cos(sweep) * r * 0.6);
+    ctx.moveTo(0, 0);
+    ctx.lineTo(r * 0.3, 0);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  function drawSlowmoTint() {
+    ctx.save();
+    ctx.fillStyle = "rgba(56,189,248,0.08)";
+    ctx.fillRect(0, 0, boardWidthPx, boardHeightPx);
+    ctx.restore();
+  }
+
+  function drawGhost(item) {
+    const { cx, cy, r } = drawItemShadow(item);
+    const bob = Math.sin(Date.now() / 300) * 1.5;
+    ctx.save();
+    ctx.translate(cx, cy + bob);
+    // sheet: round top, wavy hem
+    ctx.fillStyle = "rgba(241,245,249,0.92)";
+    ctx.beginPath();
+    ctx.arc(0, -r * 0.15, r * 0.75, Math.PI, 0);
+    ctx.lineTo(r * 0.75, r * 0.8);
+    for (let k = 0; k < 3; k++) {
+      const x0 = r * 0.75 - (k * r * 1.5) / 3;
+      ctx.quadraticCurveTo(x0 - r * 0.25, r * 0.45, x0 - r * 0.5, r * 0.8);
+    }
+    ctx.closePath();
+    ctx.fill();
+    // eyes
+    ctx.fillStyle = "#1e293b";
+    ctx.beginPath();
+    ctx.ellipse(-r * 0.28, -r * 0.2, r * 0.13, r * 0.2, 0, 0, Math.PI * 2);
+    ctx.ellipse(r * 0.28, -r * 0.2, r * 0.13, r * 0.2, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  function drawShrink(item) {
+    const { cx, cy, r } = drawItemShadow(item);
+    ctx.save();
+    ctx.translate(cx, cy);
+    const body = ctx.createLinearGradient(0, -r, 0, r);
+    body.addColorStop(0, "#c084fc");
+    body.addColorStop(1, "#7e22ce");
+    ctx.fillStyle = body;
+    ctx.beginPath();
+    ctx.arc(0, 0, r * 0.9, 0, Math.PI * 2);
+    ctx.fill();
+    // arrows pointing in from both sides
+    ctx.strokeStyle = "#faf5ff";
+    ctx.lineWidth = 2;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    for (const side of [-1, 1]) {
+      ctx.beginPath();
+      ctx.moveTo(side * r * 0.7, 0);
+      ctx.lineTo(side * r * 0.15, 0);
+      ctx.moveTo(side * r * 0.4, -r * 0.28);
+      ctx.lineTo(side * r * 0.15, 0);
+      ctx.lineTo(side * r * 0.4, r * 0.28);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  function drawMultiplier(item) {
+    const { cx, cy, r } = drawItemShadow(item);
+    ctx.save();
+    ctx.translate(cx, cy);
+    // coin
+    const coin = ctx.createRadialGradient(-r * 0.3, -r * 0.35, r * 0.1, 0, 0, r * 0.9);
+    coin.addColorStop(0, "#fef3c7");
+    coin.addColorStop(0.5, "#fbbf24");
+    coin.addColorStop(1, "#b45309");
+    ctx.fillStyle = coin;
+    ctx.strokeStyle = "#92400e";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(0, 0, r * 0.9, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = "#78350f";
+    ctx.font = `800 ${Math.round(r * 0.95)}px system-ui, sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("×2", 0, r * 0.05);
+    ctx.restore();
+  }
+
+  function drawMultiplierBadge(effect, head) {
+    const center = gridToCenter(head);
+    ctx.save();
+    ctx.font = "800 11px system-ui, sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#fbbf24";
+    ctx.strokeStyle = "rgba(0,0,0,0.6)";
+    ctx.lineWidth = 3;
+    ctx.strokeText("×2", center.x, center.y - cellSizePx * 0.75);
+    ctx.fillText("×2", center.x, center.y - cellSizePx * 0.75);
+    ctx.restore();
+  }
+
+  function drawShield(item) {
+    const { cx, cy, r } = drawItemShadow(item);
+    ctx.save();
+    ctx.translate(cx, cy);
+    // heater shield: flat top, sides curving to a point
+    ctx.beginPath();
+    ctx.moveTo(-r * 0.8, -r * 0.85);
+    ctx.lineTo(r * 0.8, -r * 0.85);
+    ctx.quadraticCurveTo(r * 0.85, r * 0.35, 0, r * 0.95);
+    ctx.quadraticCurveTo(-r * 0.85, r * 0.35, -r * 0.8, -r * 0.85);
+    ctx.closePath();
+    const plate = ctx.createLinearGradient(-r, -r, r, r);
+    plate.addColorStop(0, "#93c5fd");
+    plate.addColorStop(1, "#1d4ed8");
+    ctx.fillStyle = plate;
+    ctx.fill();
+    ctx.strokeStyle = "#dbeafe";
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    // emblem stripe
+    ctx.strokeStyle = "rgba(255,255,255,0.7)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, -r * 0.6);
+    ctx.lineTo(0, r * 0.6);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  function drawShieldRing(effect, head) {
+    const center = gridToCenter(head);
+    const t = (Date.now() % 1200) / 1200;
+    ctx.save();
+    ctx.strokeStyle = `rgba(96,165,250,${0.55 + 0.25 * Math.sin(t * Math.PI * 2)})`;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, cellSizePx * 0.8, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // A soft glow around a snake's head; `rgb` is "r,g,b"
+  function drawHeadGlow(head, rgb) {
+    const center = gridToCenter(head);
+    const radius = cellSizePx * 1.2;
+    ctx.save();
+    const g = ctx.createRadialGradient(center.x, center.y, radius * 0.2, center.x, center.y, radius);
+    g.addColorStop(0, `rgba(${rgb},0.25)`);
+    g.addColorStop(1, `rgba(${rgb},0)`);
+    ctx.fillStyle = g;
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  function drawRocketPickup(rocket) {
+    const { cx, cy, r } = drawItemShadow(rocket);
     // body
     ctx.save();
     ctx.translate(cx, cy);
@@ -318,10 +1183,10 @@
     ctx.restore();
   }
 
-  function drawRocketActive() {
-    if (!rocketActive) return;
-    const cx = rocketActive.xPx,
-      cy = rocketActive.yPx;
+  function drawRocketActive(rocketActive, alpha) {
+    const from = prevEffects.get(rocketActive) || rocketActive;
+    const cx = (from.x + (rocketActive.x - from.x) * alpha) * cellSizePx,
+      cy = (from.y + (rocketActive.y - from.y) * alpha) * cellSizePx;
     const dir = Math.atan2(rocketActive.vy, rocketActive.vx);
     const r = (cellSizePx - 6) / 2;
     // flame glow
@@ -335,13 +1200,7 @@
     ctx.arc(cx, cy, r * 1.8, 0, Math.PI * 2);
     ctx.fill();
     ctx.globalCompositeOperation = "source-over";
-    // shadow
-    ctx.fillStyle = "rgba(0,0,0,0.35)";
-    ctx.filter = "blur(3px)";
-    ctx.beginPath();
-    ctx.ellipse(cx + 2, cy + r, r * 0.9, r * 0.45, 0, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.filter = "none";
+    drawShadow(cx, cy, r);
     // body
     ctx.translate(cx, cy);
     ctx.rotate(dir);
@@ -389,32 +1248,8 @@
     ctx.closePath();
     ctx.fill();
   }
-  function maybeSpawnMagnet() {
-    if (magnet || magnetActive) return;
-    if (Math.random() < 0.015) {
-      const pos = randomEmptyCellTotal();
-      const head = snake[0];
-      if (Math.hypot(pos.x - head.x, pos.y - head.y) > 4) {
-        magnet = pos;
-      }
-    }
-  }
-
-  function drawMagnet() {
-    if (!magnet) return;
-    const x = magnet.x * cellSizePx;
-    const y = magnet.y * cellSizePx;
-    const cx = x + cellSizePx / 2;
-    const cy = y + cellSizePx / 2;
-    const r = (cellSizePx - 6) / 2;
-    // shadow
-    ctx.save();
-    ctx.fillStyle = "rgba(0,0,0,0.35)";
-    ctx.filter = "blur(3px)";
-    ctx.beginPath();
-    ctx.ellipse(cx + 2, cy + r, r * 0.9, r * 0.45, 0, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
+  function drawMagnet(magnet) {
+    const { cx, cy, r } = drawItemShadow(magnet);
     // body (U magnet)
     ctx.save();
     ctx.translate(cx, cy);
@@ -453,10 +1288,9 @@
     ctx.restore();
   }
 
-  function drawMagnetAura() {
-    const head = snake[0];
+  function drawMagnetAura(head) {
     const center = gridToCenter(head);
-    const radius = magnetRadiusCells * cellSizePx + 4;
+    const radius = SnakeEngine.magnetRadiusCells * cellSizePx + 4;
     const t = (Date.now() % 1000) / 1000;
     ctx.save();
     const rg = ctx.createRadialGradient(center.x, center.y, radius * 0.2, center.x, center.y, radius);
@@ -470,120 +1304,1150 @@
   }
 
   // Movement input
-  function setDirectionFromInput(nx, ny) {
-    // prevent reversing directly
-    if (nx === -direction.x && ny === -direction.y) return;
-    pendingDirection = { x: nx, y: ny };
+  function setDirectionFromInput(nx, ny, player = 0) {
+    if (replayPlayer || editing) return;
+    if (autopilot) setAutopilot(false); // steering by hand takes over from the bot
+    if (game.turn(nx, ny, player)) recorder.turn(state.tick, nx, ny, player);
+  }
+
+  // How keys (lower-cased KeyboardEvent.key values) are shown
+  const keyNames = { " ": "Space", arrowup: "↑", arrowdown: "↓", arrowleft: "←", arrowright: "→" };
+
+  function keyName(key) {
+    return keyNames[key] || (key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1));
   }
 
-  window.addEventListener("keydown", (e) => {
-    const key = e.key.toLowerCase();
-    if (!running && (key === " " || key === "enter")) startGame();
-    if (key === "p") {
-      togglePause();
+  // The first key bound to an action, for on-screen hints
+  function keyFor(action) {
+    const key = settings.keys[action].find((k) => k !== null);
+    return key ? keyName(key) : "(unbound)";
+  }
+
+  // A player's steering keys in up-left-down-right order, e.g. "WASD"
+  function steerKeys(player) {
+    return ["Up", "Left", "Down", "Right"].map((dir) => keyFor(player + dir)).join("");
+  }
+
+  // The start screen's reminder of the controls
+  function updateControlsHint() {
+    overlaySubtext.textContent = `Use ${steerKeys("p2")} / ${steerKeys("p1")}. On mobile: swipe or use the pad.`;
+  }
+
+  // Where each steering action (see SnakeSettings.keyActions) points
+  const steering = {
+    p1Up: { x: 0, y: -1 },
+    p1Down: { x: 0, y: 1 },
+    p1Left: { x: -1, y: 0 },
+    p1Right: { x: 1, y: 0 },
+    p2Up: { x: 0, y: -1 },
+    p2Down: { x: 0, y: 1 },
+    p2Left: { x: -1, y: 0 },
+    p2Right: { x: 1, y: 0 },
+  };
+  let keyBindings = new Map(); // key → action, from settings.keys
+
+  function bindKeys() {
+    keyBindings = new Map();
+    for (const { id } of SnakeSettings.keyActions) {
+      for (const key of settings.keys[id]) if (key !== null && !keyBindings.has(key)) keyBindings.set(key, id);
+    }
+  }
+
+  window.addEventListener("keydown", (e) => {
+    // typing in a form field (seed, level name, …) is not game input, and neither is picking keys
+    if (e.target instanceof HTMLElement && e.target.matches("input, select, textarea")) return;
+    if (editing || keysDialog.open) return;
+    const key = e.key.toLowerCase();
+    lastInputMs = performance.now();
+    if (demo) initGame(); // any key ends the demo; Start then begins a real run straight away
+    if (replayPlayer && handleReplayKey(key)) {
+      e.preventDefault();
+      return;
+    }
+    const action = keyBindings.get(key);
+    if (!running && action === "start") {
+      if (stageCleared) playNextStage();
+      else startGame();
+    }
+    if (action === "pause") {
+      togglePause();
+      return;
+    }
+    if (action === "restart") {
+      initGame();
+      startGame();
+      return;
+    }
+    if (action === "autopilot") {
+      setAutopilot(!autopilot);
+      return;
+    }
+    // in versus player 2's keys steer player 2; alone, both players' keys steer the one snake
+    const dir = steering[action];
+    if (dir) setDirectionFromInput(dir.x, dir.y, action.startsWith("p2") && state.config.players > 1 ? 1 : 0);
+  });
+
+  // Gamepads (standard mapping), polled once a frame from loop(): the D-pad or left stick steers, Start or A
+  // starts, Start pauses and Back restarts. In versus the first pad steers player 1 and the second player 2.
+  const gamepadDeadzone = 0.35; // of the stick's travel
+  const padButtons = { a: 0, back: 8, start: 9, up: 12, down: 13, left: 14, right: 15 };
+  const padStates = new Map(); // gamepad index → { dir, buttons } as of the previous poll
+
+  // Where a pad points: the D-pad wins over the stick, which only counts past the deadzone
+  function padDirection(pad) {
+    const held = (i) => Boolean(pad.buttons[i] && pad.buttons[i].pressed);
+    if (held(padButtons.up)) return { x: 0, y: -1 };
+    if (held(padButtons.down)) return { x: 0, y: 1 };
+    if (held(padButtons.left)) return { x: -1, y: 0 };
+    if (held(padButtons.right)) return { x: 1, y: 0 };
+    const [ax = 0, ay = 0] = pad.axes;
+    return dragDirection(ax, ay, gamepadDeadzone);
+  }
+
+  // The main direction of a stick or finger offset, or null if it is within `minimum` on both axes
+  function dragDirection(dx, dy, minimum) {
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < minimum) return null;
+    return Math.abs(dx) > Math.abs(dy) ? { x: Math.sign(dx), y: 0 } : { x: 0, y: Math.sign(dy) };
+  }
+
+  function pollGamepads() {
+    if (!navigator.getGamepads) return;
+    const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+    pads.forEach((pad, n) => {
+      const last = padStates.get(pad.index) || { dir: null, buttons: [] };
+      const dir = padDirection(pad);
+      const buttons = pad.buttons.map((button) => button.pressed);
+      padStates.set(pad.index, { dir, buttons });
+      // only changes count, so a held stick steers once and a held button acts once
+      const pressed = (i) => buttons[i] && !last.buttons[i];
+      const turned = dir && (!last.dir || dir.x !== last.dir.x || dir.y !== last.dir.y);
+      if (!turned && !buttons.some((held, i) => held && !last.buttons[i])) return;
+      if (editing || document.querySelector("dialog[open]")) return; // the menus have the focus
+      lastInputMs = performance.now();
+      if (demo) initGame();
+      if (replayPlayer) {
+        if (pressed(padButtons.start) || pressed(padButtons.a)) setReplayPlaying(!replayPlaying);
+        if (pressed(padButtons.back)) exitReplay();
+        return;
+      }
+      if (!running && (pressed(padButtons.start) || pressed(padButtons.a))) {
+        if (stageCleared) playNextStage();
+        else startGame();
+      } else if (pressed(padButtons.start)) togglePause();
+      if (pressed(padButtons.back)) {
+        initGame();
+        startGame();
+        return;
+      }
+      if (turned) setDirectionFromInput(dir.x, dir.y, n === 1 && state.config.players > 1 ? 1 : 0);
+    });
+  }
+
+  // On-screen dpad: pointerdown steers at once instead of on release; a click without a pointer
+  // (the button activated from the keyboard) still counts
+  const dpadDirections = { up: { x: 0, y: -1 }, down: { x: 0, y: 1 }, left: { x: -1, y: 0 }, right: { x: 1, y: 0 } };
+  document.querySelectorAll(".dpad-btn").forEach((btn) => {
+    const dir = dpadDirections[btn.getAttribute("data-dir")];
+    btn.addEventListener("pointerdown", (e) => {
+      e.preventDefault(); // no focus, no text selection, no delayed click
+      setDirectionFromInput(dir.x, dir.y);
+    });
+    btn.addEventListener("click", (e) => {
+      if (e.detail === 0) setDirectionFromInput(dir.x, dir.y);
+    });
+  });
+
+  // Touch steering on the board, by the controls setting: swipes (the default) turn as soon as the finger
+  // has travelled far enough and again at every change of direction, without lifting it; the joystick
+  // steers toward wherever the finger is from where it first touched; taps on the left or right half turn
+  // that way relative to the snake's heading. Sensitivity sets how far counts as travelled.
+  const touchTravelPx = [40, 30, 22, 15, 9]; // by sensitivity 1–5
+  let touchGesture = null; // the steering finger: { id, x, y, dir }, (x, y) where its current leg started
+  let joystick = null; // { originX, originY, x, y } in client pixels while the joystick is held
+
+  // Where player 1 is headed once the turns already waiting have been made
+  function heading() {
+    const snake = state.snakes[0];
+    return snake.turns.length ? snake.turns[snake.turns.length - 1] : snake.direction;
+  }
+
+  canvas.addEventListener(
+    "touchstart",
+    (e) => {
+      if (touchGesture || editing) return; // one steering finger at a time
+      const t = e.changedTouches[0];
+      touchGesture = { id: t.identifier, x: t.clientX, y: t.clientY, dir: null };
+      if (settings.controls === "joystick") {
+        joystick = { originX: t.clientX, originY: t.clientY, x: t.clientX, y: t.clientY };
+      } else if (settings.controls === "tap" && running && !paused) {
+        const rect = canvas.getBoundingClientRect();
+        const { x, y } = heading();
+        if (t.clientX < rect.left + rect.width / 2) setDirectionFromInput(y, -x);
+        else setDirectionFromInput(-y, x);
+      }
+    },
+    { passive: true }
+  );
+  canvas.addEventListener(
+    "touchmove",
+    (e) => {
+      const t = touchGesture && Array.from(e.changedTouches).find((touch) => touch.identifier === touchGesture.id);
+      if (!t || settings.controls === "tap") return;
+      const minimum = touchTravelPx[settings.touchSensitivity - 1];
+      const dir = dragDirection(t.clientX - touchGesture.x, t.clientY - touchGesture.y, minimum);
+      if (joystick) {
+        joystick.x = t.clientX;
+        joystick.y = t.clientY;
+        if (!dir) touchGesture.dir = null; // back in the middle: the same way again is a new turn
+      } else if (dir) {
+        touchGesture.x = t.clientX; // the next leg is measured from here
+        touchGesture.y = t.clientY;
+      }
+      if (!dir || (touchGesture.dir && dir.x === touchGesture.dir.x && dir.y === touchGesture.dir.y)) return;
+      touchGesture.dir = dir;
+      setDirectionFromInput(dir.x, dir.y);
+    },
+    { passive: true }
+  );
+  const endTouch = (e) => {
+    if (!touchGesture || !Array.from(e.changedTouches).some((touch) => touch.identifier === touchGesture.id)) return;
+    touchGesture = null;
+    joystick = null;
+  };
+  canvas.addEventListener("touchend", endTouch, { passive: true });
+  canvas.addEventListener("touchcancel", endTouch, { passive: true });
+
+  // Prevent double-tap and pinch zoom on mobile browsers
+  // Double-tap prevention
+  let lastTouchEndTs = 0;
+  document.addEventListener(
+    "touchend",
+    (e) => {
+      const now = Date.now();
+      if (now - lastTouchEndTs < 300) {
+        e.preventDefault();
+      }
+      lastTouchEndTs = now;
+    },
+    { passive: false }
+  );
+  // Pinch prevention (safety; viewport also disables scaling)
+  document.addEventListener(
+    "touchmove",
+    (e) => {
+      if (e.touches && e.touches.length > 1) {
+        e.preventDefault();
+      }
+    },
+    { passive: false }
+  );
+
+  // Controls
+  function togglePause() {
+    if (replayPlayer) {
+      setReplayPlaying(!replayPlaying);
+      return;
+    }
+    if (!running) return;
+    paused = !paused;
+    overlay.classList.toggle("hidden", !paused);
+    overlaySubtext.classList.toggle("hidden", !paused);
+    overlayText.textContent = paused ? `Paused — press ${keyFor("pause")} to resume` : "";
+  }
+  pauseBtn.addEventListener("click", togglePause);
+  function setAutopilot(on) {
+    if (on && (replayPlayer || editing)) return;
+    autopilot = on;
+    if (on) botPlayed = true;
+    autopilotBtn.setAttribute("aria-pressed", String(on));
+  }
+  autopilotBtn.addEventListener("click", () => setAutopilot(!autopilot));
+  restartBtn.addEventListener("click", () => {
+    initGame();
+    startGame();
+  });
+  settingsBtn.addEventListener("click", () => settingsDialog.showModal());
+  applySettingsBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    applySettingsFromUI();
+    settingsDialog.close();
+  });
+  // mazes bring their own board size
+  mazeSelect.addEventListener("change", () => {
+    boardSelect.disabled = mazeSelect.value !== "none";
+  });
+  difficultySelect.addEventListener("change", () => {
+    customDifficultyFields.classList.toggle("hidden", difficultySelect.value !== "custom");
+  });
+  // only fills in the dialog: Apply keeps the defaults, Close leaves the settings as they were
+  resetSettingsBtn.addEventListener("click", () => {
+    showSettings(SnakeSettings.normalize(null));
+    mazeSelect.value = "none";
+    boardSelect.disabled = false;
+  });
+
+  // Key bindings dialog: edits a copy of settings.keys, saved only when nothing clashes
+  let keyDraft = null;
+  let listeningSlot = null; // { action, slot } waiting for a key
+
+  function openKeyBindings() {
+    keyDraft = JSON.parse(JSON.stringify(settings.keys));
+    listeningSlot = null;
+    renderKeyBindings();
+    keysDialog.showModal();
+  }
+
+  // `focus` is the { action, slot } whose button should have the focus afterwards
+  function renderKeyBindings(focus = listeningSlot) {
+    const conflicts = SnakeSettings.keyConflicts(keyDraft);
+    const clashing = new Set(conflicts.map((c) => c.key));
+    keyRowsEl.textContent = "";
+    for (const { id, label } of SnakeSettings.keyActions) {
+      const row = document.createElement("tr");
+      const name = document.createElement("th");
+      name.scope = "row";
+      name.textContent = label;
+      row.appendChild(name);
+      keyDraft[id].forEach((key, slot) => {
+        const listening = Boolean(listeningSlot && listeningSlot.action === id && listeningSlot.slot === slot);
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn key-slot";
+        btn.dataset.action = id;
+        btn.dataset.slot = String(slot);
+        btn.classList.toggle("listening", listening);
+        btn.classList.toggle("conflict", key !== null && clashing.has(key));
+        btn.textContent = listening ? "Press a key…" : key === null ? "–" : keyName(key);
+        btn.setAttribute("aria-label", `${label}, key ${slot + 1}: ${key === null ? "none" : keyName(key)}`);
+        btn.addEventListener("click", () => {
+          listeningSlot = { action: id, slot };
+          renderKeyBindings();
+        });
+        const cell = document.createElement("td");
+        cell.appendChild(btn);
+        row.appendChild(cell);
+      });
+      keyRowsEl.appendChild(row);
+    }
+    if (focus) keyRowsEl.querySelector(`[data-action="${focus.action}"][data-slot="${focus.slot}"]`).focus();
+    const labelOf = (id) => SnakeSettings.keyActions.find((a) => a.id === id).label;
+    keyConflictsEl.textContent = conflicts
+      .map((c) => `${keyName(c.key)} is bound to ${c.actions.map(labelOf).join(" and ")}.`)
+      .join(" ");
+    keysSaveBtn.disabled = conflicts.length > 0;
+  }
+
+  // While a slot listens, the next key is its new binding and reaches nothing else (capture phase, before the game)
+  window.addEventListener(
+    "keydown",
+    (e) => {
+      if (!keysDialog.open || !listeningSlot) return;
+      const key = e.key.toLowerCase();
+      if (key === "tab") return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (key === "backspace" || key === "delete") keyDraft[listeningSlot.action][listeningSlot.slot] = null;
+      else if (!SnakeSettings.reservedKeys.includes(key)) keyDraft[listeningSlot.action][listeningSlot.slot] = key;
+      const edited = listeningSlot;
+      listeningSlot = null;
+      renderKeyBindings(edited);
+    },
+    true
+  );
+
+  keyBindingsBtn.addEventListener("click", openKeyBindings);
+  keysResetBtn.addEventListener("click", () => {
+    keyDraft = JSON.parse(JSON.stringify(SnakeSettings.defaults.keys));
+    listeningSlot = null;
+    renderKeyBindings();
+  });
+  keysSaveBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    if (SnakeSettings.keyConflicts(keyDraft).length) return;
+    settings.keys = keyDraft;
+    storeSettings();
+    bindKeys();
+    updateControlsHint();
+    keysDialog.close();
+  });
+  keysDialog.addEventListener("close", () => (listeningSlot = null));
+
+  // High scores dialog
+  scoresSourceField.classList.toggle("hidden", !leaderboard);
+  if (leaderboard) {
+    // the service worker retries queued submissions (Background Sync) and reports what got through
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.addEventListener("message", (e) => {
+        if (e.data && e.data.type === "leaderboard-delivered") e.data.delivered.forEach(rememberOnlineRun);
+      });
+    }
+    // without Background Sync the page retries them itself whenever it is online
+    if (!("SyncManager" in window)) {
+      const flush = () => SnakeLeaderboard.flushQueue().then((delivered) => delivered.forEach(rememberOnlineRun));
+      window.addEventListener("online", () => flush().catch(() => {}));
+      if (navigator.onLine) flush().catch(() => {});
+    }
+  }
+  scoresBtn.addEventListener("click", openScores);
+  [scoresSourceSelect, scoresDifficultySelect, scoresWallsSelect, scoresBoardSelect].forEach((select) =>
+    select.addEventListener("change", renderScores)
+  );
+  scoresDialog.querySelectorAll("th button").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const field = btn.dataset.sort;
+      // a second click on the same column flips the order; names start A→Z, the rest highest (or newest) first
+      if (scoresSort.field === field) scoresSort.descending = !scoresSort.descending;
+      else scoresSort = { field, descending: field !== "name" };
+      renderScores();
+    });
+  });
+  scoresClearBtn.addEventListener("click", () => {
+    const shown = SnakeScores.list(loadScores(), scoresFilter()).length;
+    if (!shown || !confirm(`Delete ${count(shown, "score")}?`)) return;
+    const table = loadScores();
+    SnakeScores.clear(table, scoresFilter());
+    storeScores(table);
+    fillScoresBoardOptions(table);
+    renderScores();
+    updateBest();
+  });
+  scoresExportBtn.addEventListener("click", () => {
+    const scores = SnakeScores.select(loadScores(), scoresFilter());
+    downloadJson("snake-scores.json", { exported: new Date().toISOString(), scores });
+  });
+  nameForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const name = scoreNameInput.value.trim();
+    if (name && latestEntry) renameLatestEntry(name);
+    nameForm.classList.add("hidden");
+    scoreNameInput.blur();
+    submitPending();
+  });
+
+  // Replays
+  function downloadJson(filename, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function watchReplay(replay) {
+    replayPlayer = SnakeReplay.createPlayer(replay);
+    state = replayPlayer.state;
+    resizeCanvas(); // replays keep the board size they were recorded on
+    cosmeticRandom = SnakeEngine.createRng(state.config.seed ^ 0x5bd1e995);
+    running = false;
+    paused = false;
+    resetInterpolation();
+    updateScores();
+    overlay.classList.add("hidden");
+    overlaySubtext.classList.add("hidden");
+    overlayDetail.classList.add("hidden");
+    overlayActions.classList.add("hidden");
+    scoreBreakdownEl.classList.add("hidden");
+    popups = [];
+    replayBar.classList.remove("hidden");
+    setReplaySpeed(1);
+    setReplayPlaying(true);
+  }
+
+  function exitReplay() {
+    initGame();
+  }
+
+  function setReplayPlaying(playing) {
+    replayPlaying = playing && !replayPlayer.isDone();
+    replayPlayBtn.textContent = replayPlaying ? "Pause" : "Play";
+  }
+
+  function setReplaySpeed(speed) {
+    replaySpeed = speed;
+    document.querySelectorAll(".replay-speed").forEach((btn) => {
+      btn.classList.toggle("active", Number(btn.getAttribute("data-speed")) === speed);
+    });
+  }
+
+  function stepReplay() {
+    for (const ev of replayPlayer.step()) {
+      playEvent(ev);
+      addPopup(ev);
+    }
+    updateScores();
+    replayTickEl.textContent = `Tick ${state.tick}`;
+    if (replayPlayer.isDone()) {
+      setReplayPlaying(false);
+      overlay.classList.remove("hidden");
+      overlayText.textContent = "Replay finished";
+      const scores = state.snakes.map((snake) => snake.score).join("–");
+      overlayDetail.textContent = `Seed ${state.config.seed} · Score ${scores}`;
+      overlayDetail.classList.remove("hidden");
+      showBreakdown(state.snakes[0]);
+    }
+  }
+
+  // Space/K play-pause, . or → steps one tick, 1/2/4 set speed, Esc leaves
+  function handleReplayKey(key) {
+    if (key === " " || key === "k") setReplayPlaying(!replayPlaying);
+    else if (key === "." || key === "arrowright") {
+      setReplayPlaying(false);
+      if (!replayPlayer.isDone()) {
+        stepReplay();
+        resetInterpolation(); // show the new tick right away
+      }
+    } else if (key === "1" || key === "2" || key === "4") setReplaySpeed(Number(key));
+    else if (key === "escape") exitReplay();
+    else return false;
+    return true;
+  }
+
+  watchReplayBtn.addEventListener("click", () => {
+    if (lastReplay) watchReplay(lastReplay);
+  });
+  saveReplayBtn.addEventListener("click", () => {
+    if (lastReplay) downloadJson(`snake-replay-${lastReplay.config.seed}-${lastReplay.score}.json`, lastReplay);
+  });
+  loadReplayBtn.addEventListener("click", () => replayFileInput.click());
+  replayFileInput.addEventListener("change", async () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = "";
+    if (!file) return;
+    try {
+      const replay = SnakeReplay.parse(await file.text());
+      settingsDialog.close();
+      watchReplay(replay);
+    } catch (err) {
+      alert(`Couldn't load replay: ${err.message}`);
+    }
+  });
+  replayPlayBtn.addEventListener("click", () => setReplayPlaying(!replayPlaying));
+  replayStepBtn.addEventListener("click", () => handleReplayKey("."));
+  replayExitBtn.addEventListener("click", exitReplay);
+  document.querySelectorAll(".replay-speed").forEach((btn) => {
+    btn.addEventListener("click", () => setReplaySpeed(Number(btn.getAttribute("data-speed"))));
+  });
+
+  // Campaign
+  function loadCampaignProgress() {
+    try {
+      const progress = JSON.parse(localStorage.getItem(campaignKey) || "{}");
+      return { stars: (progress && progress.stars) || {} };
+    } catch (err) {
+      return { stars: {} };
+    }
+  }
+
+  function starText(stars) {
+    return "★".repeat(stars) + "☆".repeat(3 - stars);
+  }
+
+  // "1 attempt", "3 attempts"
+  function count(n, noun) {
+    return `${n} ${noun}${n === 1 ? "" : "s"}`;
+  }
+
+  function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+  }
+
+  function updateGoal() {
+    const result = SnakeCampaign.evaluate(campaignStage, state);
+    goalEl.textContent = `${result.value}/${result.target}`;
+    return result;
+  }
+
+  function nextStage() {
+    const index = SnakeCampaign.stages.indexOf(campaignStage);
+    return SnakeCampaign.stages[index + 1] || null;
+  }
+
+  function playStage(stage) {
+    campaignStage = stage;
+    dailyKey = null;
+    if (campaignDialog.open) campaignDialog.close();
+    initGame();
+  }
+
+  function playNextStage() {
+    const stage = nextStage();
+    if (stage) playStage(stage);
+    else openStageSelect();
+  }
+
+  function clearStage() {
+    running = false;
+    stageCleared = true;
+    const stars = SnakeCampaign.rate(campaignStage, state);
+    const progress = loadCampaignProgress();
+    const isBest = !botPlayed && stars > (progress.stars[campaignStage.id] || 0);
+    if (isBest) {
+      progress.stars[campaignStage.id] = stars;
+      localStorage.setItem(campaignKey, JSON.stringify(progress));
+    }
+    lastReplay = recorder.finish(state);
+    game.bus.emit({ type: "stageClear", stars }, state);
+    const next = nextStage();
+    overlay.classList.remove("hidden");
+    overlayText.textContent = `Stage ${campaignStage.id} cleared! ${starText(stars)}`;
+    overlayDetail.textContent =
+      `Time ${formatDuration(state.timeMs)} · Score ${state.snakes[0].score}` +
+      (isBest ? " · New best" : botPlayed ? " · Autopilot: stars not saved" : "");
+    overlayDetail.classList.remove("hidden");
+    showBreakdown(state.snakes[0]);
+    overlayActions.classList.remove("hidden");
+    nextStageBtn.textContent = next ? "Next stage" : "All stages";
+    nextStageBtn.classList.remove("hidden");
+    stageSelectBtn.classList.remove("hidden");
+  }
+
+  function renderStageList() {
+    const progress = loadCampaignProgress();
+    stageList.textContent = "";
+    for (const stage of SnakeCampaign.stages) {
+      const unlocked = SnakeCampaign.isUnlocked(stage, progress);
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "stage";
+      btn.disabled = !unlocked;
+      btn.classList.toggle("current", stage === campaignStage);
+      const parts = [
+        ["stage-num", String(stage.id)],
+        ["stage-name", stage.name],
+        ["stage-goal", unlocked ? SnakeCampaign.describe(stage.goal) : "Locked"],
+        ["stage-stars", unlocked ? starText(progress.stars[stage.id] || 0) : "🔒"],
+      ];
+      for (const [className, text] of parts) {
+        const span = document.createElement("span");
+        span.className = className;
+        span.textContent = text;
+        btn.appendChild(span);
+      }
+      btn.addEventListener("click", () => playStage(stage));
+      stageList.appendChild(btn);
+    }
+  }
+
+  function openStageSelect() {
+    renderStageList();
+    campaignDialog.showModal();
+  }
+
+  campaignBtn.addEventListener("click", openStageSelect);
+  stageSelectBtn.addEventListener("click", openStageSelect);
+  nextStageBtn.addEventListener("click", playNextStage);
+  freePlayBtn.addEventListener("click", () => {
+    campaignDialog.close();
+    if (!campaignStage) return;
+    campaignStage = null;
+    initGame();
+  });
+
+  // Daily challenge
+  function loadDailyHistory() {
+    try {
+      const history = JSON.parse(localStorage.getItem(dailyHistoryKey) || "{}");
+      return history && typeof history === "object" ? history : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function recordDailyAttempt() {
+    const number = SnakeDaily.number(dailyKey);
+    overlayText.textContent = `Daily #${number} — press ${keyFor("restart")} to try again`;
+    if (botPlayed) {
+      overlayDetail.textContent = `Score ${state.snakes[0].score} · Autopilot: attempt not counted`;
+      return;
+    }
+    const history = loadDailyHistory();
+    const { day, isBest } = SnakeDaily.recordAttempt(history, dailyKey, state);
+    localStorage.setItem(dailyHistoryKey, JSON.stringify(history));
+    const { current } = SnakeDaily.streaks(history, dailyKey);
+    game.bus.emit({ type: "daily", streak: current }, state);
+    dailyBestEl.textContent = String(day.best);
+    overlayDetail.textContent =
+      `Score ${state.snakes[0].score} · ` +
+      (isBest ? "New best today" : `Best today ${day.best}`) +
+      ` · Streak ${count(current, "day")}`;
+  }
+
+  async function copyDailyResult(key, button) {
+    const history = loadDailyHistory();
+    if (!history[key]) return;
+    const url = `${location.origin}${location.pathname}?daily`;
+    const text = SnakeDaily.shareText(key, history[key], SnakeDaily.streaks(history, key).current, url);
+    try {
+      await navigator.clipboard.writeText(text);
+      const label = button.textContent;
+      button.textContent = "Copied!";
+      setTimeout(() => (button.textContent = label), 1500);
+    } catch (err) {
+      prompt("Copy your result:", text);
+    }
+  }
+
+  function playDaily() {
+    if (dailyDialog.open) dailyDialog.close();
+    campaignStage = null;
+    dailyKey = SnakeDaily.dateKey();
+    initGame();
+  }
+
+  function renderDailyCalendar() {
+    const history = loadDailyHistory();
+    const today = SnakeDaily.dateKey();
+    const played = history[today];
+    const { current, longest } = SnakeDaily.streaks(history, today);
+    dailyTitle.textContent = `Daily challenge #${SnakeDaily.number(today)}`;
+    dailySummary.textContent =
+      (played ? `Today: best ${played.best} after ${count(played.attempts, "attempt")}` : "Today: not played yet") +
+      `\nStreak: ${count(current, "day")} · longest ${longest}`;
+    dailyShareBtn.disabled = !played;
+    const { year, month } = dailyMonth;
+    const monthName = new Date(year, month, 1).toLocaleDateString(undefined, { month: "long", year: "numeric" });
+    dailyMonthEl.textContent = monthName;
+    dailyNextBtn.disabled = SnakeDaily.dateKey(new Date(year, month + 1, 1)) > today;
+    dailyCalendar.textContent = "";
+    for (const week of SnakeDaily.monthGrid(year, month)) {
+      const tr = document.createElement("tr");
+      for (const key of week) {
+        const td = document.createElement("td");
+        if (key) {
+          const day = history[key];
+          td.textContent = String(Number(key.slice(8)));
+          td.classList.toggle("played", Boolean(day && day.attempts));
+          td.classList.toggle("today", key === today);
+          if (day && day.attempts) {
+            const best = document.createElement("strong");
+            best.textContent = String(day.best);
+            td.appendChild(best);
+            td.title = `Best ${day.best} · ${count(day.attempts, "attempt")}`;
+          }
+        }
+        tr.appendChild(td);
+      }
+      dailyCalendar.appendChild(tr);
+    }
+  }
+
+  function openDailyCalendar() {
+    const now = new Date();
+    dailyMonth = { year: now.getFullYear(), month: now.getMonth() };
+    renderDailyCalendar();
+    dailyDialog.showModal();
+  }
+
+  function showDailyMonth(offset) {
+    const first = new Date(dailyMonth.year, dailyMonth.month + offset, 1);
+    dailyMonth = { year: first.getFullYear(), month: first.getMonth() };
+    renderDailyCalendar();
+  }
+
+  dailyBtn.addEventListener("click", openDailyCalendar);
+  dailyCalendarBtn.addEventListener("click", openDailyCalendar);
+  dailyPlayBtn.addEventListener("click", playDaily);
+  dailyPrevBtn.addEventListener("click", () => showDailyMonth(-1));
+  dailyNextBtn.addEventListener("click", () => showDailyMonth(1));
+  dailyShareBtn.addEventListener("click", () => copyDailyResult(SnakeDaily.dateKey(), dailyShareBtn));
+  dailyCopyBtn.addEventListener("click", () => copyDailyResult(dailyKey, dailyCopyBtn));
+  dailyFreePlayBtn.addEventListener("click", () => {
+    dailyDialog.close();
+    if (!dailyKey) return;
+    dailyKey = null;
+    initGame();
+  });
+
+  // Achievements
+  function loadAchievements() {
+    try {
+      return SnakeAchievements.normalize(JSON.parse(localStorage.getItem(achievementsKey) || "{}"));
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function unlockAchievement(achievement) {
+    if (demo || botPlayed) return; // the autopilot's feats aren't the player's
+    const unlocked = loadAchievements();
+    unlocked[achievement.id] = new Date().toISOString();
+    localStorage.setItem(achievementsKey, JSON.stringify(unlocked));
+    toasts.push({ achievement, startMs: performance.now() });
+    playEvent({ type: "achievement" });
+  }
+
+  function renderAchievements() {
+    const unlocked = loadAchievements();
+    const all = SnakeAchievements.achievements;
+    achievementsSummary.textContent = `${Object.keys(unlocked).length} of ${all.length} unlocked`;
+    achievementList.textContent = "";
+    for (const achievement of all) {
+      const date = unlocked[achievement.id];
+      const li = document.createElement("li");
+      li.className = date ? "achievement unlocked" : "achievement";
+      const icon = document.createElement("span");
+      icon.className = "achievement-icon";
+      icon.textContent = achievement.icon;
+      const title = document.createElement("span");
+      title.className = "achievement-title";
+      title.textContent = achievement.title;
+      const description = document.createElement("span");
+      description.className = "achievement-description";
+      description.textContent = date
+        ? `${achievement.description} · ${new Date(date).toLocaleDateString()}`
+        : achievement.description;
+      li.append(icon, title, description);
+      achievementList.appendChild(li);
+    }
+  }
+
+  function openAchievements() {
+    renderAchievements();
+    achievementsDialog.showModal();
+  }
+
+  achievementsBtn.addEventListener("click", openAchievements);
+
+  // Level editor
+  function loadSavedLevels() {
+    try {
+      const list = JSON.parse(localStorage.getItem(savedLevelsKey) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function storeSavedLevels(list) {
+    localStorage.setItem(savedLevelsKey, JSON.stringify(list));
+  }
+
+  function findLevelDef(id) {
+    if (id === "shared") return sharedLevelDef;
+    return SnakeLevels.builtIn.find((l) => l.id === id) || loadSavedLevels().find((l) => l.id === id) || null;
+  }
+
+  // A level to play, or null for the open board (also when a saved level went missing or broke)
+  function playableLevel(id) {
+    const def = id === "none" ? null : findLevelDef(id);
+    if (!def) return null;
+    try {
+      return SnakeLevels.parse(def);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function fillLevelOptions(select, firstLabel, firstValue) {
+    select.textContent = "";
+    select.add(new Option(firstLabel, firstValue));
+    const addGroup = (label, defs) => {
+      if (!defs.length) return;
+      const group = document.createElement("optgroup");
+      group.label = label;
+      for (const def of defs) group.appendChild(new Option(def.name, def.id));
+      select.appendChild(group);
+    };
+    addGroup("Built-in", SnakeLevels.builtIn);
+    addGroup("My levels", loadSavedLevels());
+    if (sharedLevelDef) addGroup("Shared with me", [sharedLevelDef]);
+  }
+
+  function refreshMazeOptions() {
+    fillLevelOptions(mazeSelect, "None (open board)", "none");
+    mazeSelect.value = mazeId !== "none" && findLevelDef(mazeId) ? mazeId : "none";
+    boardSelect.disabled = mazeSelect.value !== "none";
+    fillLevelOptions(editorOpenSelect, "New level", "");
+    editorOpenSelect.value = editing && editing.id ? editing.id : "";
+  }
+
+  // Bordered board of the current preset size, snake start on the left facing right
+  function blankLevelDef() {
+    const { width, height } = boardPresets[boardPreset];
+    const map = [];
+    for (let y = 0; y < height; y++) {
+      let row = "";
+      for (let x = 0; x < width; x++) row += x === 0 || y === 0 || x === width - 1 || y === height - 1 ? "#" : ".";
+      map.push(row);
+    }
+    const sx = Math.floor(width / 3) + 2;
+    const sy = Math.floor(height / 2);
+    map[sy] = map[sy].slice(0, sx) + ">" + map[sy].slice(sx + 1);
+    return { id: null, name: "", map };
+  }
+
+  const editorDirections = [">", "v", "<", "^"];
+  const editorArrows = { ">": "→", v: "↓", "<": "←", "^": "↑" };
+  const editorDragTools = ["wall", "erase", "spawn"];
+
+  function openEditor(def) {
+    const isBuiltIn = SnakeLevels.builtIn.some((l) => l.id === def.id);
+    const rows = def.map.map((r) => r.split(""));
+    const head = editorDirections.find((ch) => rows.some((r) => r.includes(ch)));
+    running = false;
+    paused = false;
+    replayPlayer = null;
+    editing = {
+      id: def.id && def.id.startsWith("custom-") ? def.id : null, // built-in and shared levels save as copies
+      name: isBuiltIn ? `${def.name} (copy)` : def.name || "",
+      edges: def.edges || "",
+      hazards: def.hazards || null, // not editable here, but kept with the level
+      rows,
+      tool: editing ? editing.tool : "wall",
+      direction: head || ">",
+      preview: null,
+      problems: [],
+      painting: false,
+      lastPainted: null,
+      hover: null,
+    };
+    overlay.classList.add("hidden");
+    overlaySubtext.classList.add("hidden");
+    replayBar.classList.add("hidden");
+    editorBar.classList.remove("hidden");
+    editorNameInput.value = editing.name;
+    editorWidthInput.value = String(rows[0].length);
+    editorHeightInput.value = String(rows.length);
+    editorEdgesSelect.value = editing.edges;
+    editorDirBtn.textContent = editorArrows[editing.direction];
+    editorOpenSelect.value = editing.id || "";
+    setEditorTool(editing.tool);
+    refreshEditorPreview();
+    resizeCanvas();
+  }
+
+  function editorDefinition() {
+    const def = { id: editing.id, name: editing.name.trim() || "Untitled", map: editing.rows.map((r) => r.join("")) };
+    if (editing.edges) def.edges = editing.edges;
+    if (editing.hazards) def.hazards = editing.hazards;
+    return def;
+  }
+
+  function setEditorStatus(text, warn = false) {
+    editorStatus.textContent = text;
+    editorStatus.classList.toggle("warn", warn);
+  }
+
+  function refreshEditorPreview() {
+    const { level, problems } = SnakeLevels.read(editorDefinition());
+    editing.preview = level;
+    editing.problems = problems;
+    if (problems.length) setEditorStatus(`⚠ ${problems[0]}`, true);
+    else {
+      const size = `${level.width}×${level.height}`;
+      setEditorStatus(
+        `${size} · ${level.walls.length} walls · ${level.portals.length} portals · ${level.spawns.length} apple spawns`
+      );
+    }
+  }
+
+  function setEditorTool(tool) {
+    editing.tool = tool;
+    document.querySelectorAll(".editor-tool").forEach((btn) => {
+      btn.classList.toggle("active", btn.getAttribute("data-tool") === tool);
+    });
+  }
+
+  // First portal digit with only one end, else the first unused one
+  function openPortalDigit() {
+    const counts = {};
+    for (const row of editing.rows) for (const ch of row) if (ch >= "1" && ch <= "9") counts[ch] = (counts[ch] || 0) + 1;
+    const digits = "123456789".split("");
+    return digits.find((d) => counts[d] === 1) || digits.find((d) => !counts[d]) || null;
+  }
+
+  function paintCell(x, y, tool) {
+    const rows = editing.rows;
+    const current = rows[y][x];
+    if (tool === "wall") rows[y][x] = "#";
+    else if (tool === "erase") rows[y][x] = ".";
+    else if (tool === "spawn") rows[y][x] = "*";
+    else if (tool === "start") {
+      for (const row of rows) for (let i = 0; i < row.length; i++) if (editorDirections.includes(row[i])) row[i] = ".";
+      rows[y][x] = editing.direction;
+    } else if (tool === "portal") {
+      if (current >= "1" && current <= "9") rows[y][x] = "."; // clicking an end removes it
+      else {
+        const digit = openPortalDigit();
+        if (!digit) {
+          setEditorStatus("⚠ All 9 portal pairs are in use", true);
+          return;
+        }
+        rows[y][x] = digit;
+      }
+    }
+    refreshEditorPreview();
+  }
+
+  function resizeEditorGrid(width, height) {
+    const w = Math.max(SnakeLevels.minSize, Math.min(SnakeLevels.maxSize, Math.round(width) || 0));
+    const h = Math.max(SnakeLevels.minSize, Math.min(SnakeLevels.maxSize, Math.round(height) || 0));
+    const rows = [];
+    for (let y = 0; y < h; y++) {
+      rows.push([]);
+      for (let x = 0; x < w; x++) rows[y].push((editing.rows[y] && editing.rows[y][x]) || ".");
+    }
+    editing.rows = rows;
+    editorWidthInput.value = String(w);
+    editorHeightInput.value = String(h);
+    refreshEditorPreview();
+    resizeCanvas();
+  }
+
+  function saveEditorLevel() {
+    if (editing.problems.length) {
+      setEditorStatus(`⚠ Can't save yet: ${editing.problems[0]}`, true);
+      return null;
+    }
+    if (!editing.id) editing.id = `custom-${Date.now().toString(36)}`;
+    const def = editorDefinition();
+    const list = loadSavedLevels();
+    const index = list.findIndex((l) => l.id === def.id);
+    if (index === -1) list.push(def);
+    else list[index] = def;
+    storeSavedLevels(list);
+    refreshMazeOptions();
+    setEditorStatus(`Saved “${def.name}”`);
+    return def;
+  }
+
+  function editorCellFromEvent(e) {
+    const rect = canvas.getBoundingClientRect();
+    const cols = editing.rows[0].length;
+    const rows = editing.rows.length;
+    const x = Math.floor(((e.clientX - rect.left) / rect.width) * cols);
+    const y = Math.floor(((e.clientY - rect.top) / rect.height) * rows);
+    return x >= 0 && y >= 0 && x < cols && y < rows ? { x, y } : null;
+  }
+
+  canvas.addEventListener("pointerdown", (e) => {
+    if (!editing) return;
+    const cell = editorCellFromEvent(e);
+    if (!cell) return;
+    e.preventDefault();
+    canvas.setPointerCapture(e.pointerId);
+    const tool = e.button === 2 ? "erase" : editing.tool; // right-click always erases
+    editing.painting = editorDragTools.includes(tool) ? tool : false;
+    editing.lastPainted = cell;
+    paintCell(cell.x, cell.y, tool);
+  });
+  canvas.addEventListener("pointermove", (e) => {
+    if (!editing) return;
+    const cell = editorCellFromEvent(e);
+    editing.hover = cell;
+    if (!editing.painting || !cell) return;
+    const last = editing.lastPainted;
+    if (last && last.x === cell.x && last.y === cell.y) return;
+    editing.lastPainted = cell;
+    paintCell(cell.x, cell.y, editing.painting);
+  });
+  const stopPainting = () => {
+    if (editing) editing.painting = false;
+  };
+  canvas.addEventListener("pointerup", stopPainting);
+  canvas.addEventListener("pointercancel", stopPainting);
+  canvas.addEventListener("pointerleave", () => {
+    if (editing) editing.hover = null;
+  });
+  canvas.addEventListener("contextmenu", (e) => {
+    if (editing) e.preventDefault();
+  });
+
+  editorBtn.addEventListener("click", () => {
+    const def = mazeId !== "none" && findLevelDef(mazeId);
+    openEditor(def || blankLevelDef());
+  });
+  editorOpenSelect.addEventListener("change", () => {
+    const def = editorOpenSelect.value && findLevelDef(editorOpenSelect.value);
+    openEditor(def || blankLevelDef());
+  });
+  editorNameInput.addEventListener("input", () => {
+    editing.name = editorNameInput.value;
+  });
+  editorWidthInput.addEventListener("change", () => {
+    resizeEditorGrid(Number(editorWidthInput.value), editing.rows.length);
+  });
+  editorHeightInput.addEventListener("change", () => {
+    resizeEditorGrid(editing.rows[0].length, Number(editorHeightInput.value));
+  });
+  editorEdgesSelect.addEventListener("change", () => {
+    editing.edges = editorEdgesSelect.value;
+    refreshEditorPreview();
+  });
+  document.querySelectorAll(".editor-tool").forEach((btn) => {
+    btn.addEventListener("click", () => setEditorTool(btn.getAttribute("data-tool")));
+  });
+  editorDirBtn.addEventListener("click", () => {
+    const next = editorDirections[(editorDirections.indexOf(editing.direction) + 1) % editorDirections.length];
+    editing.direction = next;
+    editorDirBtn.textContent = editorArrows[next];
+    for (const row of editing.rows) for (let i = 0; i < row.length; i++) if (editorDirections.includes(row[i])) row[i] = next;
+    refreshEditorPreview();
+  });
+  editorSaveBtn.addEventListener("click", () => saveEditorLevel());
+  editorPlayBtn.addEventListener("click", () => {
+    const def = saveEditorLevel();
+    if (!def) return;
+    campaignStage = null;
+    dailyKey = null;
+    mazeId = def.id;
+    refreshMazeOptions();
+    initGame();
+  });
+  editorShareBtn.addEventListener("click", async () => {
+    if (editing.problems.length) {
+      setEditorStatus(`⚠ Can't share yet: ${editing.problems[0]}`, true);
       return;
     }
-    if (key === "r") {
-      initGame();
-      startGame();
-      return;
+    const url = `${location.origin}${location.pathname}?level=${SnakeLevels.toShareCode(editorDefinition())}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setEditorStatus("Link copied to the clipboard");
+    } catch (err) {
+      prompt("Copy this link to share the level:", url);
     }
-    if (key === "arrowup" || key === "w") setDirectionFromInput(0, -1);
-    else if (key === "arrowdown" || key === "s") setDirectionFromInput(0, 1);
-    else if (key === "arrowleft" || key === "a") setDirectionFromInput(-1, 0);
-    else if (key === "arrowright" || key === "d") setDirectionFromInput(1, 0);
   });
-
-  // On-screen dpad
-  document.querySelectorAll(".dpad-btn").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const dir = btn.getAttribute("data-dir");
-      if (dir === "up") setDirectionFromInput(0, -1);
-      if (dir === "down") setDirectionFromInput(0, 1);
-      if (dir === "left") setDirectionFromInput(-1, 0);
-      if (dir === "right") setDirectionFromInput(1, 0);
-    });
+  editorExportBtn.addEventListener("click", () => {
+    const def = editorDefinition();
+    const slug = def.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "level";
+    downloadJson(`${slug}.snake-level.json`, def);
   });
-
-  // Touch swipe support
-  let touchStart = null;
-  canvas.addEventListener(
-    "touchstart",
-    (e) => {
-      const t = e.changedTouches[0];
-      touchStart = { x: t.clientX, y: t.clientY };
-    },
-    { passive: true }
-  );
-  canvas.addEventListener(
-    "touchend",
-    (e) => {
-      const t = e.changedTouches[0];
-      const dx = t.clientX - (touchStart?.x ?? t.clientX);
-      const dy = t.clientY - (touchStart?.y ?? t.clientY);
-      if (Math.abs(dx) > Math.abs(dy)) {
-        if (dx > 10) setDirectionFromInput(1, 0);
-        else if (dx < -10) setDirectionFromInput(-1, 0);
-      } else {
-        if (dy > 10) setDirectionFromInput(0, 1);
-        else if (dy < -10) setDirectionFromInput(0, -1);
-      }
-    },
-    { passive: true }
-  );
-
-  // Prevent double-tap and pinch zoom on mobile browsers
-  // Double-tap prevention
-  let lastTouchEndTs = 0;
-  document.addEventListener(
-    "touchend",
-    (e) => {
-      const now = Date.now();
-      if (now - lastTouchEndTs < 300) {
-        e.preventDefault();
-      }
-      lastTouchEndTs = now;
-    },
-    { passive: false }
-  );
-  // Pinch prevention (safety; viewport also disables scaling)
-  document.addEventListener(
-    "touchmove",
-    (e) => {
-      if (e.touches && e.touches.length > 1) {
-        e.preventDefault();
-      }
-    },
-    { passive: false }
-  );
-
-  // Controls
-  function togglePause() {
-    if (!running) return;
-    paused = !paused;
-    overlay.classList.toggle("hidden", !paused);
-    overlaySubtext.classList.toggle("hidden", !paused);
-    overlayText.textContent = paused ? "Paused — press P to resume" : "";
-  }
-  pauseBtn.addEventListener("click", togglePause);
-  restartBtn.addEventListener("click", () => {
-    initGame();
-    startGame();
+  editorImportBtn.addEventListener("click", () => editorFileInput.click());
+  editorFileInput.addEventListener("change", async () => {
+    const file = editorFileInput.files[0];
+    editorFileInput.value = "";
+    if (!file) return;
+    try {
+      const def = JSON.parse(await file.text());
+      if (!SnakeLevels.read(def).level) throw new Error("Not a Snake level file");
+      openEditor(Object.assign(def, { id: null }));
+    } catch (err) {
+      setEditorStatus(`⚠ Couldn't import: ${err.message}`, true);
+    }
   });
-  settingsBtn.addEventListener("click", () => settingsDialog.showModal());
-  applySettingsBtn.addEventListener("click", (e) => {
-    e.preventDefault();
-    applySettingsFromUI();
-    settingsDialog.close();
+  editorDeleteBtn.addEventListener("click", () => {
+    if (!editing.id) {
+      openEditor(blankLevelDef());
+      return;
+    }
+    if (!confirm(`Delete “${editorDefinition().name}”?`)) return;
+    storeSavedLevels(loadSavedLevels().filter((l) => l.id !== editing.id));
+    if (mazeId === editing.id) mazeId = "none";
+    editing.id = null;
+    refreshMazeOptions();
+    openEditor(blankLevelDef());
   });
+  editorExitBtn.addEventListener("click", () => initGame());
 
-  // Start game on tap/click when the start overlay is visible (mobile-friendly)
+  // Start game on tap/click (mobile-friendly): a tap resumes a paused run or starts a fresh one.
+  // A tap fires both touchstart and click, so this only ever resumes or starts, never pauses.
   function tryStartFromTap() {
-    const text = (overlayText.textContent || "").toLowerCase();
-    const isStartPrompt = text.includes("tap") || text.includes("space");
-    if (!running && isStartPrompt) {
-      startGame();
-    }
+    if (editing || replayPlayer) return;
+    if (running && paused) togglePause();
+    else if (!running && !state.over && !stageCleared) startGame();
   }
   overlay.addEventListener("click", tryStartFromTap);
   overlay.addEventListener("touchstart", tryStartFromTap, { passive: true });
@@ -591,203 +2455,375 @@
   canvas.addEventListener("click", tryStartFromTap);
   canvas.addEventListener("touchstart", tryStartFromTap, { passive: true });
 
-  // Game loop
-  function tick(nowMs) {
-    requestAnimationFrame(tick);
-    if (!running || paused) {
-      draw();
-      return;
-    }
-    if (!lastTick) lastTick = nowMs;
-    const elapsed = nowMs - lastTick;
-    if (elapsed < speedMs) return;
-    lastTick = nowMs;
-
-    // apply pending direction once per tick
-    direction = pendingDirection;
+  // Game loop: the rules advance in fixed steps of `tickMs` simulated time. Leftover
+  // frame time carries over to the next frame, and drawing interpolates between the
+  // last two steps, so game speed is exact at any refresh rate.
+  const maxFrameMs = 250; // after a stall (e.g. background tab) resume instead of fast-forwarding
+  const maxStepsPerFrame = 30; // enough for a 4x replay at the fastest tick; past it the frame drops the backlog
+  let lastFrameMs = 0;
+  let accumulator = 0;
+  let prevSnakes = null; // snake bodies and board effects (e.g. a rocket) as they were before the latest step
+  let prevEffects = new Map(); // effect → { x, y }
+  let prevPatrols = null;
+
+  function resetInterpolation() {
+    accumulator = 0;
+    prevSnakes = null;
+    prevEffects = new Map();
+    prevPatrols = null;
+  }
 
-    const newHead = { x: snake[0].x + direction.x, y: snake[0].y + direction.y };
+  function simulationRate() {
+    if (replayPlayer) return replayPlaying ? replaySpeed : 0;
+    return running && !paused ? 1 : 0;
+  }
 
-    // walls behavior
-    if (walls === "wrap") {
-      newHead.x = (newHead.x + gridWidth) % gridWidth;
-      newHead.y = (newHead.y + gridHeight) % gridHeight;
+  // Runs one tick; returns false when the simulation should stop for now
+  function simulateStep() {
+    prevSnakes = state.snakes.map((snake) => snake.body.map((seg) => ({ x: seg.x, y: seg.y })));
+    prevEffects = new Map(state.effects.map((effect) => [effect, { x: effect.x, y: effect.y }]));
+    prevPatrols = state.patrols.map((p) => ({ x: p.x, y: p.y }));
+    if (replayPlayer) {
+      stepReplay();
+      return replayPlaying;
     }
-
-    // collision detection
-    const outOfBounds = newHead.x < 0 || newHead.y < 0 || newHead.x >= gridWidth || newHead.y >= gridHeight;
-    const hitsSelf = snake.some((s) => coordEq(s, newHead));
-    if ((walls === "solid" && outOfBounds) || hitsSelf) {
+    steerBots();
+    game.step(); // sounds and achievements hear about the tick on `game.bus`
+    updateScores();
+    if (campaignStage) {
+      const result = updateGoal();
+      if (result.complete) {
+        clearStage();
+        return false;
+      }
+      if (result.failed && !state.over) {
+        // e.g. a power-up on a no-power-up stage: the run ends right there
+        game.end();
+        recorder.end(state.tick);
+      }
+    }
+    if (state.over) {
       gameOver();
-      return;
+      return false;
     }
+    return true;
+  }
 
-    snake.unshift(newHead);
-
-    // power-ups: bomb
-    let grewThisTick = false;
-    if (bomb && coordEq(newHead, bomb)) {
-      // collect bomb → explode into apples
-      beep(140, 120, "square", 0.06);
-      beep(320, 120, "sine", 0.05);
-      spawnAppleExplosion(newHead, 14, 4);
-      bomb = null;
-      // grow slightly for picking bomb
-      // do not pop tail on this tick
-      grewThisTick = true;
-    } else {
-      // apples
-      const idx = apples.findIndex((a) => coordEq(a, newHead));
-      if (idx !== -1) {
-        beep(800, 80, "triangle", 0.05);
-        apples.splice(idx, 1);
-        score += 10;
-        scoreEl.textContent = String(score);
-        // do not pop tail if ate
-        grewThisTick = true;
-      } else {
-        // normal tail removal handled after magnet/rocket
-      }
-    }
+  // Bots pick their turns just before the tick; they go through `turn` and the recorder like a player's
+  function steerBots() {
+    const strategies = Object.keys(SnakeAI.strategies);
+    state.snakes.forEach((snake, i) => {
+      if (!snake.alive || (!snake.rival && !autopilot && !demo)) return;
+      let strategy = snake.rival ? aiStrategy : autopilotStrategy;
+      if (strategy === "mixed") strategy = strategies[i % strategies.length];
+      const dir = SnakeAI.nextDirection(strategy, state, i);
+      if (game.turn(dir.x, dir.y, i)) recorder.turn(state.tick, dir.x, dir.y, i);
+    });
+  }
 
-    // Magnet pickup if stepped on it
-    if (magnet && coordEq(newHead, magnet)) {
-      magnetActive = true;
-      magnetUntil = nowMs + 15000; // 15 seconds
-      magnet = null;
-      beep(900, 90, "sine", 0.05);
-      beep(600, 120, "triangle", 0.04);
-      grewThisTick = true; // bonus growth on pickup
-    }
-
-    // Rocket pickup
-    if (rocket && coordEq(newHead, rocket)) {
-      startRocket(rocket, nowMs);
-      rocket = null;
-      // bonus sound
-      beep(700, 90, "square", 0.05);
-      beep(500, 140, "triangle", 0.04);
-      grewThisTick = true;
-    }
-
-    // Magnet effect: auto-consume nearby apples
-    if (magnetActive) {
-      if (nowMs >= magnetUntil) {
-        magnetActive = false;
-      } else {
-        const head = snake[0];
-        let taken = 0;
-        apples = apples.filter((a) => {
-          const dx = a.x - head.x;
-          const dy = a.y - head.y;
-          const dist = Math.hypot(dx, dy);
-          if (dist <= magnetRadiusCells) {
-            taken += 1;
-            return false; // remove apple
-          }
-          return true;
-        });
-        if (taken > 0) {
-          score += 10 * taken;
-          scoreEl.textContent = String(score);
-          grewThisTick = true;
-          beep(820, 60, "triangle", 0.035);
+  function loop(nowMs) {
+    requestAnimationFrame(loop);
+    pollGamepads();
+    const frameMs = lastFrameMs ? Math.min(nowMs - lastFrameMs, maxFrameMs) : 0;
+    lastFrameMs = nowMs;
+    const rate = simulationRate();
+    if (rate > 0) {
+      accumulator += frameMs * rate;
+      // a slow-motion power-up stretches the ticks, so ask the engine how long the next one is;
+      // a tick of no length at all (a broken config) would never use the frame up, so nothing runs
+      let steps = 0;
+      while (accumulator >= SnakeEngine.tickLength(state)) {
+        if (SnakeEngine.tickLength(state) <= 0) {
+          accumulator = 0;
+          break;
+        }
+        accumulator -= SnakeEngine.tickLength(state);
+        if (!simulateStep() || ++steps >= maxStepsPerFrame) {
+          accumulator = 0;
+          break;
         }
       }
     }
+    updateAttract(nowMs);
+    updateMusic(rate);
+    const tickMs = SnakeEngine.tickLength(state);
+    draw(tickMs > 0 ? Math.min(1, accumulator / tickMs) : 1);
+  }
 
-    // finalize movement: pop tail only if not grown this tick
-    if (!grewThisTick) {
-      snake.pop();
-    }
+  // The music plays along with a run or a replay, one step per tick: it speeds up with the snake
+  // (speed curves, adaptive difficulty, a fast-forwarded replay) and slows down in slow motion
+  function updateMusic(rate) {
+    const playing = rate > 0 && !demo && !state.over;
+    audio.setMusic(playing, playing ? SnakeEngine.tickLength(state) / rate : 0);
+  }
 
-    // ensure at least one apple present
-    if (apples.length === 0) {
-      apples.push(randomEmptyCellTotal());
+  // Attract mode: an idle start screen turns into a demo run, and a finished demo starts the next
+  function updateAttract(nowMs) {
+    if (demo) {
+      if (state.over && nowMs - demoOverMs > demoRestartMs) startDemo();
+      return;
+    }
+    // never on the daily: a demo would give away the day's apples
+    const special = replayPlayer || editing || campaignStage || dailyKey;
+    const idle = !running && !state.over && !stageCleared && !special;
+    if (!idle || document.hidden || document.querySelector("dialog[open]")) {
+      lastInputMs = nowMs;
+      return;
     }
+    if (nowMs - lastInputMs > attractIdleMs) startDemo();
+  }
+
+  function startDemo() {
+    initGame();
+    startGame();
+    demo = true;
+    overlay.classList.remove("hidden");
+    overlay.classList.add("demo");
+    overlayText.textContent = "Demo — press any key to play";
+  }
+
+  // Any tap or click also counts as input: it resets the idle timer and ends a demo
+  window.addEventListener(
+    "pointerdown",
+    () => {
+      lastInputMs = performance.now();
+      if (demo) initGame();
+    },
+    true
+  );
 
-    // maybe spawn a bomb occasionally
-    maybeSpawnBomb();
-    // maybe spawn a magnet occasionally
-    maybeSpawnMagnet();
-    // maybe spawn a rocket occasionally
-    maybeSpawnRocket();
+  // Pause rather than stall when the tab goes to the background, and go quiet
+  document.addEventListener("visibilitychange", () => {
+    audio.setHidden(document.hidden);
+    if (document.hidden && running && !paused && !demo) togglePause();
+    if (document.hidden) submitPending(); // the tab may not come back
+  });
 
-    // update rocket motion and drops
-    updateRocket(nowMs);
+  // A short buzz for player 1's apples and a longer one for their crashes, on devices that can
+  function vibrateFor(ev) {
+    if (demo || replayPlayer || !settings.haptics || !navigator.vibrate) return;
+    if (ev.player !== 0) return; // rivals and player 2 don't shake the phone
+    if (ev.type === "eat") navigator.vibrate(15);
+    else if (ev.type === "death") navigator.vibrate([60, 40, 90]);
+  }
 
-    draw();
+  function playEvent(ev) {
+    if (demo) return; // demos play silently
+    const look = powerUpLooks[ev.type];
+    if (look) {
+      audio.play(look.sound);
+      return;
+    }
+    switch (ev.type) {
+      case "eat":
+        audio.play(SnakeAudio.presets.eat);
+        break;
+      case "magnetPull":
+        beep(820, 60, "triangle", 0.035);
+        break;
+      case "poison":
+        beep(300, 90, "sawtooth", 0.04);
+        beep(180, 200, "sawtooth", 0.04);
+        break;
+      case "rot":
+        if (ev.poison) break; // nobody misses those
+        beep(200, 70, "sine", 0.025);
+        break;
+      case "absorb":
+        beep(220, 90, "square", 0.06);
+        beep(520, 180, "triangle", 0.05);
+        break;
+      case "death":
+        audio.play(SnakeAudio.presets.death);
+        break;
+      case "respawn":
+        beep(330, 90, "triangle", 0.03);
+        break;
+      case "stageClear":
+        beep(660, 100, "triangle", 0.05);
+        beep(990, 180, "triangle", 0.05);
+        break;
+      case "achievement":
+        beep(880, 90, "triangle", 0.04);
+        beep(1175, 90, "triangle", 0.04);
+        beep(1760, 160, "sine", 0.03);
+        break;
+    }
   }
 
   // Rendering
   function drawGround() {
     if (!groundPattern) {
-      groundPattern = createGroundPattern(boardSizePx, boardSizePx);
+      groundPattern = createGroundPattern(boardWidthPx, boardHeightPx);
     }
     if (!noiseOverlayPattern) {
       noiseOverlayPattern = createNoiseOverlayPattern(128);
     }
     ctx.save();
     ctx.fillStyle = groundPattern;
-    ctx.fillRect(0, 0, boardSizePx, boardSizePx);
+    ctx.fillRect(0, 0, boardWidthPx, boardHeightPx);
+    if (quality === "low") {
+      ctx.restore();
+      return;
+    }
     // subtle vignette
+    const span = Math.max(boardWidthPx, boardHeightPx);
     const g = ctx.createRadialGradient(
-      boardSizePx * 0.5,
-      boardSizePx * 0.5,
-      boardSizePx * 0.2,
-      boardSizePx * 0.5,
-      boardSizePx * 0.5,
-      boardSizePx * 0.7
+      boardWidthPx * 0.5,
+      boardHeightPx * 0.5,
+      span * 0.2,
+      boardWidthPx * 0.5,
+      boardHeightPx * 0.5,
+      span * 0.7
     );
     g.addColorStop(0, "rgba(0,0,0,0)");
     g.addColorStop(1, "rgba(0,0,0,0.25)");
     ctx.fillStyle = g;
-    ctx.fillRect(0, 0, boardSizePx, boardSizePx);
+    ctx.fillRect(0, 0, boardWidthPx, boardHeightPx);
     // film grain
     ctx.globalAlpha = 0.06;
     ctx.fillStyle = noiseOverlayPattern;
-    ctx.fillRect(0, 0, boardSizePx, boardSizePx);
+    ctx.fillRect(0, 0, boardWidthPx, boardHeightPx);
     ctx.restore();
   }
 
-  function drawSnake() {
+  // `body` is where to draw each segment, `cells` the snake's cells (they set the angles)
+  function drawSnake(body, cells, skin) {
     if (!scalePattern) scalePattern = createScalePattern(64);
     // soft contact shadows under segments
-    for (let i = snake.length - 1; i >= 0; i--) {
-      const seg = snake[i];
+    for (let i = body.length - 1; i >= 0 && quality !== "low"; i--) {
+      const seg = body[i];
       const center = gridToCenter(seg);
-      const angle = segmentAngle(i);
+      const angle = segmentAngle(cells, i);
       drawSegmentShadow(center.x, center.y, angle, i === 0);
     }
     // snake body with scales and shading
-    for (let i = snake.length - 1; i >= 0; i--) {
-      const seg = snake[i];
+    for (let i = body.length - 1; i >= 0; i--) {
+      const seg = body[i];
       const center = gridToCenter(seg);
-      const angle = segmentAngle(i);
+      const angle = segmentAngle(cells, i);
       const isHead = i === 0;
-      drawSegment(center.x, center.y, angle, isHead);
+      drawSegment(center.x, center.y, angle, isHead, skin);
       if (isHead) drawHeadDetails(center.x, center.y, angle);
     }
   }
 
   function drawApples() {
-    for (const a of apples) drawAppleAt(a);
+    for (const a of state.apples) {
+      const rot = rotProgress(a);
+      if (!rot) {
+        drawAppleAt(a);
+        continue;
+      }
+      // going brown and see-through as it rots away
+      ctx.save();
+      ctx.filter = `sepia(${rot}) brightness(${1 - rot * 0.35})`;
+      ctx.globalAlpha = 1 - rot * 0.6;
+      drawAppleAt(a);
+      ctx.restore();
+    }
   }
 
-  function drawAppleAt(cell) {
-    const x = cell.x * cellSizePx;
-    const y = cell.y * cellSizePx;
-    const r = (cellSizePx - 6) / 2;
-    const cx = x + cellSizePx / 2;
-    const cy = y + cellSizePx / 2;
-    // shadow
+  // 0 while an apple is fresh, rising to 1 over the last `rotWarnTicks` before it disappears
+  const rotWarnTicks = 40;
+  function rotProgress(apple) {
+    if (apple.rotAt === undefined) return 0;
+    return Math.min(1, Math.max(0, 1 - (apple.rotAt - state.tick) / rotWarnTicks));
+  }
+
+  function drawPoison() {
+    for (const p of state.poison) {
+      ctx.save();
+      ctx.globalAlpha = 1 - rotProgress(p) * 0.6;
+      drawPoisonAt(p);
+      ctx.restore();
+    }
+  }
+
+  // A sickly purple apple with a skull-white cross, so it never passes for a real one
+  function drawPoisonAt(cell) {
+    const { cx, cy, r } = drawItemShadow(cell);
+    const grad = ctx.createRadialGradient(cx - r * 0.3, cy - r * 0.5, r * 0.2, cx, cy, r);
+    grad.addColorStop(0, "#c084fc");
+    grad.addColorStop(0.6, "#7e22ce");
+    grad.addColorStop(1, "#3b0764");
+    ctx.fillStyle = grad;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fill();
+    // bubbling ooze
+    const t = Date.now() / 400;
+    ctx.fillStyle = "rgba(163,230,53,0.85)";
+    for (let k = 0; k < 3; k++) {
+      const a = t + (k * Math.PI * 2) / 3;
+      ctx.beginPath();
+      ctx.arc(cx + Math.cos(a) * r * 0.55, cy + Math.sin(a) * r * 0.55, r * 0.12, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.strokeStyle = "rgba(255,255,255,0.85)";
+    ctx.lineWidth = 2;
+    ctx.lineCap = "round";
+    ctx.beginPath();
+    ctx.moveTo(cx - r * 0.3, cy - r * 0.3);
+    ctx.lineTo(cx + r * 0.3, cy + r * 0.3);
+    ctx.moveTo(cx + r * 0.3, cy - r * 0.3);
+    ctx.lineTo(cx - r * 0.3, cy + r * 0.3);
+    ctx.stroke();
+    // stem
+    ctx.strokeStyle = "#3f2a22";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(cx - r * 0.1, cy - r * 0.6);
+    ctx.lineTo(cx - r * 0.1, cy - r * 1.2);
+    ctx.stroke();
+  }
+
+  // Patrols glide between cells like the snakes do; a bounce can move them diagonally
+  function drawPatrols(alpha) {
+    state.patrols.forEach((patrol, i) => {
+      const from = prevPatrols && prevPatrols[i];
+      const near = from && Math.abs(patrol.x - from.x) <= 1 && Math.abs(patrol.y - from.y) <= 1;
+      const pos = near ? { x: lerp(from.x, patrol.x, alpha), y: lerp(from.y, patrol.y, alpha) } : patrol;
+      drawSawblade(pos);
+    });
+  }
+
+  function drawSawblade(pos) {
+    const { cx, cy, r } = drawItemShadow(pos);
+    const teeth = 8;
     ctx.save();
-    ctx.fillStyle = "rgba(0,0,0,0.35)";
-    ctx.filter = "blur(3px)";
+    ctx.translate(cx, cy);
+    // warning glow
+    const glow = ctx.createRadialGradient(0, 0, r * 0.4, 0, 0, r * 1.5);
+    glow.addColorStop(0, "rgba(248,113,113,0.45)");
+    glow.addColorStop(1, "rgba(248,113,113,0)");
+    ctx.fillStyle = glow;
     ctx.beginPath();
-    ctx.ellipse(cx + 2, cy + r, r * 0.9, r * 0.45, 0, 0, Math.PI * 2);
+    ctx.arc(0, 0, r * 1.5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.rotate((Date.now() / 150) % (Math.PI * 2));
+    const steel = ctx.createRadialGradient(-r * 0.3, -r * 0.3, r * 0.1, 0, 0, r * 1.1);
+    steel.addColorStop(0, "#f1f5f9");
+    steel.addColorStop(0.7, "#94a3b8");
+    steel.addColorStop(1, "#475569");
+    ctx.fillStyle = steel;
+    ctx.beginPath();
+    for (let k = 0; k < teeth * 2; k++) {
+      const a = (k * Math.PI) / teeth;
+      const rr = k % 2 === 0 ? r * 1.05 : r * 0.75;
+      ctx.lineTo(Math.cos(a) * rr, Math.sin(a) * rr);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = "#b91c1c";
+    ctx.beginPath();
+    ctx.arc(0, 0, r * 0.28, 0, Math.PI * 2);
     ctx.fill();
     ctx.restore();
+  }
+
+  function drawAppleAt(cell) {
+    const { cx, cy, r } = drawItemShadow(cell);
     // body with shading
     const grad = ctx.createRadialGradient(cx - r * 0.3, cy - r * 0.5, r * 0.2, cx, cy, r);
     grad.addColorStop(0, "#ff6a5c");
@@ -827,21 +2863,55 @@
     ctx.restore();
   }
 
-  function drawBomb() {
-    if (!bomb) return;
-    const x = bomb.x * cellSizePx;
-    const y = bomb.y * cellSizePx;
-    const r = (cellSizePx - 6) / 2;
-    const cx = x + cellSizePx / 2;
-    const cy = y + cellSizePx / 2;
-    // shadow
+  function drawWalls(level) {
+    if (!wallLayer || wallLayerLevel !== level) {
+      wallLayer = createWallLayer(level);
+      wallLayerLevel = level;
+    }
+    ctx.fillStyle = wallLayer;
+    ctx.fillRect(0, 0, boardWidthPx, boardHeightPx);
+  }
+
+  const portalColors = ["#a78bfa", "#38bdf8", "#f472b6", "#fbbf24", "#34d399", "#fb923c", "#e879f9", "#60a5fa", "#f87171"];
+
+  function drawPortals(level) {
+    level.portals.forEach((p, i) => {
+      const color = portalColors[i % portalColors.length];
+      drawPortal(p.a, color, 1);
+      drawPortal(p.b, color, -1);
+    });
+  }
+
+  function drawPortal(cell, color, spin) {
+    const { x: cx, y: cy } = gridToCenter(cell);
+    const r = (cellSizePx - 4) / 2;
+    const t = (Date.now() / 600) * spin;
     ctx.save();
-    ctx.fillStyle = "rgba(0,0,0,0.4)";
-    ctx.filter = "blur(3px)";
+    // glow
+    const g = ctx.createRadialGradient(cx, cy, r * 0.1, cx, cy, r * 1.3);
+    g.addColorStop(0, "rgba(10,10,30,0.9)");
+    g.addColorStop(0.6, color);
+    g.addColorStop(1, "rgba(0,0,0,0)");
+    ctx.fillStyle = g;
     ctx.beginPath();
-    ctx.ellipse(cx + 2, cy + r, r * 0.9, r * 0.45, 0, 0, Math.PI * 2);
+    ctx.arc(cx, cy, r * 1.3, 0, Math.PI * 2);
     ctx.fill();
+    // swirling ring
+    ctx.translate(cx, cy);
+    ctx.rotate(t);
+    ctx.strokeStyle = "rgba(255,255,255,0.75)";
+    ctx.lineWidth = 1.5;
+    ctx.lineCap = "round";
+    for (let k = 0; k < 3; k++) {
+      ctx.beginPath();
+      ctx.arc(0, 0, r * 0.75, (k * Math.PI * 2) / 3, (k * Math.PI * 2) / 3 + 1.2);
+      ctx.stroke();
+    }
     ctx.restore();
+  }
+
+  function drawBomb(bomb) {
+    const { cx, cy, r } = drawItemShadow(bomb, 0.4);
     // body
     const grad = ctx.createRadialGradient(cx - r * 0.3, cy - r * 0.4, r * 0.2, cx, cy, r);
     grad.addColorStop(0, "#676b76");
@@ -873,22 +2943,288 @@
     ctx.fill();
   }
 
-  function draw() {
-    ctx.clearRect(0, 0, boardSizePx, boardSizePx);
+  // `alpha` (0..1) is how far we are between the previous step and the current one
+  function draw(alpha = 1) {
+    if (editing) {
+      drawEditor();
+      return;
+    }
+    const level = state.config.level;
+    ctx.clearRect(0, 0, boardWidthPx, boardHeightPx);
     drawGround();
+    if (level) {
+      drawWalls(level);
+      drawPortals(level);
+    }
     drawApples();
-    drawBomb();
-    drawMagnet();
-    if (magnetActive) drawMagnetAura();
-    drawRocketPickup();
-    drawRocketActive();
-    drawSnake();
+    drawPoison();
+    const bodies = state.snakes.map((snake, i) => interpolatedBody(i, alpha));
+    drawPowerUps(bodies, alpha);
+    drawPatrols(alpha);
+    // a crashed snake leaves the board, except for the final crash that ends the run
+    state.snakes.forEach((snake, i) => {
+      if (!snake.alive && !state.over) return;
+      ctx.save();
+      ctx.globalAlpha = snakeOpacity(snake);
+      drawSnake(bodies[i], snake.body, snakeSkins[i % snakeSkins.length]);
+      ctx.restore();
+    });
+    drawPopups(performance.now());
+    drawJoystick();
+    drawToasts(performance.now());
+  }
+
+  // The floating joystick under the player's finger: its ring where the finger came down, the knob where it is
+  function drawJoystick() {
+    if (!joystick) return;
+    const rect = canvas.getBoundingClientRect();
+    if (!rect.width) return;
+    const scale = boardWidthPx / rect.width; // client pixels to board units
+    const ox = (joystick.originX - rect.left) * scale;
+    const oy = (joystick.originY - rect.top) * scale;
+    const ring = touchTravelPx[settings.touchSensitivity - 1] * 2 * scale;
+    const dx = (joystick.x - joystick.originX) * scale;
+    const dy = (joystick.y - joystick.originY) * scale;
+    const reach = Math.min(1, ring / (Math.hypot(dx, dy) || 1)); // the knob stays on the ring
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(ox, oy, ring, 0, Math.PI * 2);
+    ctx.fillStyle = "rgba(230, 238, 252, 0.08)";
+    ctx.fill();
+    ctx.strokeStyle = "rgba(230, 238, 252, 0.35)";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(ox + dx * reach, oy + dy * reach, ring * 0.4, 0, Math.PI * 2);
+    ctx.fillStyle = "rgba(230, 238, 252, 0.4)";
+    ctx.fill();
+    ctx.restore();
+  }
+
+  function addPopup(ev) {
+    let text = null;
+    let color = "#fde68a";
+    if (ev.type === "eat" || ev.type === "magnetPull") {
+      text = `+${ev.points}`;
+      if (ev.combo > 1) {
+        text += ` ×${ev.combo}`;
+        color = "#fb923c";
+      }
+    } else if (ev.type === "nearMiss") {
+      text = `Close! +${ev.points}`;
+      color = "#67e8f9";
+    } else if (ev.type === "poison" && ev.points) {
+      text = `${ev.points}`;
+      color = "#c084fc";
+    }
+    if (text) popups.push({ x: ev.x, y: ev.y, text, color, startMs: performance.now() });
+  }
+
+  // Points rise a cell from where they were scored and fade out after `popupMs`
+  function drawPopups(nowMs) {
+    popups = popups.filter((popup) => nowMs - popup.startMs < popupMs);
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = `800 ${Math.max(11, Math.round(cellSizePx * 0.6))}px system-ui, sans-serif`;
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(11, 18, 32, 0.85)";
+    for (const popup of popups) {
+      const t = (nowMs - popup.startMs) / popupMs;
+      const { x, y } = gridToCenter(popup);
+      ctx.globalAlpha = Math.min(1, (1 - t) * 2.5);
+      ctx.strokeText(popup.text, x, y - t * cellSizePx);
+      ctx.fillStyle = popup.color;
+      ctx.fillText(popup.text, x, y - t * cellSizePx);
+    }
+    ctx.restore();
+  }
+
+  // The finished run's points by source, for the game-over screen
+  function showBreakdown(snake) {
+    scoreBreakdownEl.textContent = "";
+    const sources = Object.keys(pointSources).filter((source) => snake.points[source]);
+    scoreBreakdownEl.classList.toggle("hidden", sources.length === 0);
+    const row = (label, points, className) => {
+      const dt = document.createElement("dt");
+      const dd = document.createElement("dd");
+      dt.textContent = label;
+      dd.textContent = String(points);
+      if (className) dt.className = dd.className = className;
+      scoreBreakdownEl.append(dt, dd);
+    };
+    for (const source of sources) row(pointSources[source], snake.points[source]);
+    row("Total", snake.score, "total");
+  }
+
+  // Unlock notices slide in at the top of the board and fade out after `toastMs`
+  function drawToasts(nowMs) {
+    toasts = toasts.filter((toast) => nowMs - toast.startMs < toastMs);
+    const w = Math.min(boardWidthPx - 24, 320);
+    const h = 48;
+    toasts.forEach((toast, i) => {
+      const age = nowMs - toast.startMs;
+      const fade = Math.max(0, Math.min(1, age / 250, (toastMs - age) / 400));
+      const x = (boardWidthPx - w) / 2;
+      const y = 12 + i * (h + 8) - (1 - fade) * 12;
+      ctx.save();
+      ctx.globalAlpha = fade;
+      drawCapsulePath(x, y, w, h);
+      ctx.fillStyle = "rgba(11, 18, 32, 0.9)";
+      ctx.fill();
+      ctx.strokeStyle = "#fbbf24";
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+      ctx.textBaseline = "middle";
+      ctx.textAlign = "center";
+      ctx.font = "22px system-ui, sans-serif";
+      ctx.fillText(toast.achievement.icon, x + h / 2 + 4, y + h / 2 + 1);
+      ctx.textAlign = "left";
+      ctx.fillStyle = "#fbbf24";
+      ctx.font = "600 11px system-ui, sans-serif";
+      ctx.fillText("Achievement unlocked", x + h + 8, y + 16);
+      ctx.fillStyle = "#e6eefc";
+      ctx.font = "700 15px system-ui, sans-serif";
+      ctx.fillText(toast.achievement.title, x + h + 8, y + 32, w - h - 24);
+      ctx.restore();
+    });
+  }
+
+  function drawEditor() {
+    const level = editing.preview;
+    ctx.clearRect(0, 0, boardWidthPx, boardHeightPx);
+    drawGround();
+    // cell grid
+    ctx.save();
+    ctx.strokeStyle = colors.gridLine;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = 1; x < editing.rows[0].length; x++) {
+      ctx.moveTo(x * cellSizePx, 0);
+      ctx.lineTo(x * cellSizePx, boardHeightPx);
+    }
+    for (let y = 1; y < editing.rows.length; y++) {
+      ctx.moveTo(0, y * cellSizePx);
+      ctx.lineTo(boardWidthPx, y * cellSizePx);
+    }
+    ctx.stroke();
+    ctx.restore();
+    if (level) {
+      drawWalls(level);
+      for (const p of level.spawns) {
+        ctx.save();
+        ctx.globalAlpha = 0.45;
+        drawAppleAt(p);
+        ctx.restore();
+      }
+    }
+    // portal ends, numbered so pairs can be told apart (unpaired ends included)
+    editing.rows.forEach((row, y) =>
+      row.forEach((ch, x) => {
+        if (ch < "1" || ch > "9") return;
+        const digit = Number(ch);
+        drawPortal({ x, y }, portalColors[(digit - 1) % portalColors.length], 1);
+        const c = gridToCenter({ x, y });
+        ctx.save();
+        ctx.fillStyle = "#fff";
+        ctx.font = "bold 11px Inter, system-ui, sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(ch, c.x, c.y);
+        ctx.restore();
+      })
+    );
+    // snake start: head plus the two segments that trail it
+    if (level && level.start) {
+      if (!scalePattern) scalePattern = createScalePattern(64);
+      const angle = Math.atan2(level.direction.y, level.direction.x);
+      for (let i = 2; i >= 0; i--) {
+        const c = gridToCenter({ x: level.start.x - level.direction.x * i, y: level.start.y - level.direction.y * i });
+        drawSegment(c.x, c.y, angle, i === 0);
+        if (i === 0) drawHeadDetails(c.x, c.y, angle);
+      }
+    }
+    if (editing.hover) {
+      ctx.save();
+      ctx.fillStyle = "rgba(255,255,255,0.15)";
+      ctx.fillRect(editing.hover.x * cellSizePx, editing.hover.y * cellSizePx, cellSizePx, cellSizePx);
+      ctx.restore();
+    }
+  }
+
+  function lerpCell(from, to, alpha) {
+    let dx = to.x - from.x;
+    let dy = to.y - from.y;
+    // crossing a wrap-around edge: keep moving outward instead of sweeping back over the board
+    if (dx > 1) dx -= state.config.width;
+    else if (dx < -1) dx += state.config.width;
+    if (dy > 1) dy -= state.config.height;
+    else if (dy < -1) dy += state.config.height;
+    if (Math.abs(dx) + Math.abs(dy) > 1) return to;
+    return { x: from.x + dx * alpha, y: from.y + dy * alpha };
   }
 
+  function interpolatedBody(index, alpha) {
+    const body = state.snakes[index].body;
+    const prev = prevSnakes && prevSnakes[index];
+    if (!prev) return body;
+    // a segment added by growth has no previous cell; it stays where the old tail was
+    return body.map((seg, i) => lerpCell(prev[Math.min(i, prev.length - 1)], seg, alpha));
+  }
+
+  // Fits the board to the viewport and backs it with a devicePixelRatio-sized bitmap
+  function resizeCanvas() {
+    const cols = editing ? editing.rows[0].length : state.config.width;
+    const rows = editing ? editing.rows.length : state.config.height;
+    const maxW = Math.min(window.innerWidth * 0.92, 760);
+    const maxH = Math.min(window.innerHeight * 0.92, 600);
+    const cssCell = Math.max(6, Math.floor(Math.min(maxW / cols, maxH / rows)));
+    const dpr = quality === "low" ? 1 : window.devicePixelRatio || 1;
+    const nextWidth = cols * cellSizePx;
+    const nextHeight = rows * cellSizePx;
+    const nextScale = (cssCell / cellSizePx) * dpr;
+    canvas.style.width = `${cols * cssCell}px`;
+    canvas.style.height = `${rows * cssCell}px`;
+    if (nextWidth === boardWidthPx && nextHeight === boardHeightPx && nextScale === renderScale && groundPattern) {
+      return;
+    }
+    boardWidthPx = nextWidth;
+    boardHeightPx = nextHeight;
+    renderScale = nextScale;
+    canvas.width = Math.round(cols * cssCell * dpr);
+    canvas.height = Math.round(rows * cssCell * dpr);
+    ctx.setTransform(renderScale, 0, 0, renderScale, 0, 0);
+    // cached art depends on board size and resolution
+    groundPattern = null;
+    scalePattern = null;
+    wallLayer = null;
+    noiseOverlayPattern = null;
+  }
+  window.addEventListener("resize", () => resizeCanvas());
+
   // Boot
+  settings = loadSettings();
+  mazeId = settings.maze; // unless a shared level takes its place
+  if (fixedSeed !== null) seedInput.value = fixedSeed;
+  const sharedLevelCode = new URLSearchParams(location.search).get("level");
+  if (sharedLevelCode) {
+    try {
+      sharedLevelDef = SnakeLevels.fromShareCode(sharedLevelCode);
+      SnakeLevels.parse(sharedLevelDef); // must be playable
+      mazeId = "shared";
+    } catch (err) {
+      sharedLevelDef = null;
+      alert(`Couldn't open the shared level: ${err.message}`);
+    }
+  }
+  // shared daily results link to ?daily
+  if (new URLSearchParams(location.search).has("daily")) dailyKey = SnakeDaily.dateKey();
+  fillPowerUpToggles();
+  showSettings(settings);
+  refreshMazeOptions();
   applySettingsFromUI();
   initGame();
-  requestAnimationFrame(tick);
+  requestAnimationFrame(loop);
   // Generate graphics assets lazily on first draw
 
   // ===== Realism Helpers =====
@@ -899,9 +3235,9 @@
     };
   }
 
-  function segmentAngle(i) {
-    const prev = snake[i - 1] || snake[i];
-    const next = snake[i + 1] || snake[i];
+  function segmentAngle(cells, i) {
+    const prev = cells[i - 1] || cells[i];
+    const next = cells[i + 1] || cells[i];
     const dirX = (prev.x - next.x) * -1; // average direction forward
     const dirY = (prev.y - next.y) * -1;
     const len = Math.hypot(dirX, dirY) || 1;
@@ -921,10 +3257,10 @@
     ctx.restore();
   }
 
-  function drawSegment(cx, cy, angle, isHead) {
+  function drawSegment(cx, cy, angle, isHead, skin = snakeSkins[0]) {
     const segLength = cellSizePx * 0.9;
     const segWidth = cellSizePx * (isHead ? 0.85 : 0.78);
-    const baseColor = isHead ? colors.snakeHead : colors.snakeBody;
+    const baseColor = isHead ? skin.head : skin.body;
     ctx.save();
     ctx.translate(cx, cy);
     ctx.rotate(angle);
@@ -991,7 +3327,7 @@
     ctx.arc(eyeX * 0.5, -segWidth * 0.05, 1.4, 0, Math.PI * 2);
     ctx.fill();
     // Tongue occasionally
-    if (Math.random() < 0.05) {
+    if (cosmeticRandom() < 0.05) {
       ctx.strokeStyle = "#e43e3e";
       ctx.lineWidth = 2;
       ctx.lineCap = "round";
@@ -1050,10 +3386,57 @@
     ctx.closePath();
   }
 
+  // Offscreen art is rendered at device resolution, then mapped back to design units
+  function devicePattern(c, off, repetition) {
+    const pattern = c.createPattern(off, repetition);
+    pattern.setTransform(new DOMMatrix().scaleSelf(1 / renderScale));
+    return pattern;
+  }
+
+  function createWallLayer(level) {
+    const off = document.createElement("canvas");
+    off.width = Math.ceil(boardWidthPx * renderScale);
+    off.height = Math.ceil(boardHeightPx * renderScale);
+    const c = off.getContext("2d");
+    c.scale(renderScale, renderScale);
+    const s = cellSizePx;
+    // contact shadows first so no block's shadow covers a neighbour
+    c.fillStyle = "rgba(0,0,0,0.35)";
+    for (const w of level.walls) c.fillRect(w.x * s + 2, w.y * s + 3, s, s);
+    for (const w of level.walls) {
+      const x = w.x * s;
+      const y = w.y * s;
+      // stone body
+      const grad = c.createLinearGradient(x, y, x + s, y + s);
+      grad.addColorStop(0, "#8b8f99");
+      grad.addColorStop(1, "#474c57");
+      c.fillStyle = grad;
+      c.fillRect(x, y, s, s);
+      // bevel: lit top-left, shaded bottom-right
+      c.fillStyle = "rgba(255,255,255,0.16)";
+      c.fillRect(x, y, s, 2);
+      c.fillRect(x, y, 2, s);
+      c.fillStyle = "rgba(0,0,0,0.25)";
+      c.fillRect(x, y + s - 2, s, 2);
+      c.fillRect(x + s - 2, y, 2, s);
+      // a couple of cracks, fixed per cell
+      c.strokeStyle = "rgba(0,0,0,0.22)";
+      c.lineWidth = 1;
+      c.beginPath();
+      const h = hash2(w.x, w.y);
+      c.moveTo(x + s * (0.2 + h * 0.5), y + 3);
+      c.lineTo(x + s * (0.35 + h * 0.3), y + s * 0.55);
+      c.lineTo(x + s * (0.25 + h * 0.5), y + s - 3);
+      c.stroke();
+    }
+    return devicePattern(c, off, "no-repeat");
+  }
+
   function createScalePattern(size) {
     const off = document.createElement("canvas");
-    off.width = off.height = size;
+    off.width = off.height = Math.round(size * renderScale);
     const c = off.getContext("2d");
+    c.scale(off.width / size, off.height / size);
     c.fillStyle = "#3a6b3f";
     c.fillRect(0, 0, size, size);
     // draw hex/rounded scales
@@ -1077,13 +3460,13 @@
     g.addColorStop(1, "rgba(0,0,0,0.08)");
     c.fillStyle = g;
     c.fillRect(0, 0, size, size);
-    return c.createPattern(off, "repeat");
+    return devicePattern(c, off, "repeat");
   }
 
-  function createGroundPattern(w, h) {
+  function createGroundPattern(designW, designH) {
     const off = document.createElement("canvas");
-    off.width = w;
-    off.height = h;
+    const w = (off.width = Math.ceil(designW * renderScale));
+    const h = (off.height = Math.ceil(designH * renderScale));
     const c = off.getContext("2d");
     // base dirt
     c.fillStyle = "#1b2a1a";
@@ -1092,7 +3475,7 @@
     const img = c.createImageData(w, h);
     for (let y = 0; y < h; y++) {
       for (let x = 0; x < w; x++) {
-        const n = fractalNoise(x, y, 0.02, 4); // 4 octaves
+        const n = fractalNoise(x / renderScale, y / renderScale, 0.02, 4); // 4 octaves
         const g = Math.floor(30 + n * 90);
         const idx = (y * w + x) * 4;
         img.data[idx + 0] = 20 + g * 0.4; // r
@@ -1108,7 +3491,7 @@
     lg.addColorStop(1, "rgba(0,0,0,0.25)");
     c.fillStyle = lg;
     c.fillRect(0, 0, w, h);
-    return c.createPattern(off, "no-repeat");
+    return devicePattern(c, off, "no-repeat");
   }
 
   function fractalNoise(x, y, baseFreq, octaves) {
@@ -1167,6 +3550,6 @@
       img.data[i + 3] = 255;
     }
     c.putImageData(img, 0, 0);
-    return c.createPattern(off, "repeat");
+    return devicePattern(c, off, "repeat");
   }
 })();
@@ -0,0 +1,271 @@
+/*
+ * Mock leaderboard server for development and tests (Node, no dependencies).
+ * Serves the game itself plus the REST API `leaderboard.js` talks to:
+ *   POST /api/scores            submit a run → 201 { id, rank }, 422 { error } if it doesn't check out
+ *   GET  /api/scores            ?category=…&limit=10 → { entries }
+ *   GET  /api/scores/around     ?category=…&id=… (or &score=…)&span=3 → { entries }
+ * Every submission is played back from its replay and only accepted when the
+ * replayed run ends with the score and stats it claims. Scores live in memory,
+ * or in a JSON file with --data.
+ *
+ *   node server/mock-leaderboard.js [--port 8787] [--data scores.json]
+ *   then open http://localhost:8787/?leaderboard=/api
+ */
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const SnakeLevels = require("../levels.js");
+const SnakeReplay = require("../replay.js");
+const { difficultySpeeds, difficultyPowerUps, difficultyHazards, boardPresets } = require("../rules.js");
+
+const root = path.join(__dirname, "..");
+const maxBodyBytes = 5 * 1024 * 1024;
+const maxTicks = 100000; // over 4 hours of play on Hard; replaying more than that is not worth the CPU
+const ticksPerSlice = 5000; // replayed between yields, so one long run doesn't hold up other requests
+const maxPatrols = 6; // on a level only its player has: as many as the custom difficulty allows
+
+const mimeTypes = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".webmanifest": "application/manifest+json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+};
+
+// Whether a replay was played on a category's board: a board preset's size without a maze, a built-in
+// maze exactly, or, for a level only its player has (saved or shared), some maze
+function boardMatches(board, config) {
+  const preset = boardPresets[board];
+  if (preset) return !config.level && config.width === preset.width && config.height === preset.height;
+  const builtIn = SnakeLevels.getBuiltIn(board);
+  if (builtIn) return JSON.stringify(config.level) === JSON.stringify(builtIn);
+  return Boolean(config.level);
+}
+
+// Puts a level only its player has through SnakeLevels.parse, so what gets replayed is a playable board no bigger
+// than the editor makes, and not whatever the submission sent; resolves to why it can't be, or null
+function rebuildLevel(config) {
+  const level = config.level;
+  const fits = (n) => Number.isInteger(n) && n >= SnakeLevels.minSize && n <= SnakeLevels.maxSize;
+  if (!level || typeof level !== "object" || !fits(level.width) || !fits(level.height)) {
+    return "Replay level is not a playable board";
+  }
+  // toDefinition writes every cell it is given, so one far off the board would build a huge row
+  const onBoard = (c) =>
+    c && [c.x, c.y].every(Number.isInteger) && c.x >= 0 && c.y >= 0 && c.x < level.width && c.y < level.height;
+  const unit = (d) => d && [d.x, d.y].every(Number.isInteger) && Math.abs(d.x) + Math.abs(d.y) === 1;
+  const list = (cells) => Array.isArray(cells) && cells.every(onBoard);
+  const cellsOk =
+    list(level.walls) &&
+    (level.spawns === undefined || list(level.spawns)) &&
+    Array.isArray(level.portals) &&
+    level.portals.every((p) => p && onBoard(p.a) && onBoard(p.b)) &&
+    (level.start === null || onBoard(level.start)) &&
+    unit(level.direction);
+  if (!cellsOk) return "Replay level is not a playable board";
+  let parsed;
+  try {
+    parsed = SnakeLevels.parse(SnakeLevels.toDefinition(level));
+  } catch (err) {
+    return err instanceof TypeError ? "Replay level is not a playable board" : `Replay level: ${err.message}`;
+  }
+  const patrols = parsed.hazards ? parsed.hazards.patrols : 0;
+  if ((Array.isArray(patrols) ? patrols.length : patrols || 0) > maxPatrols) return "Replay level has too many patrols";
+  config.level = parsed;
+  return null;
+}
+
+// SnakeReplay.simulate in slices, letting the server answer other requests in between
+async function simulate(replay) {
+  const player = SnakeReplay.createPlayer(replay);
+  while (!player.isDone()) {
+    for (let i = 0; i < ticksPerSlice && !player.isDone(); i++) player.step();
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  return player.state;
+}
+
+/** Resolves to why a submission can't be accepted, or null if its replay backs it up. */
+async function checkSubmission(sub) {
+  if (!sub || typeof sub !== "object") return "Submission must be a JSON object";
+  if (typeof sub.category !== "string" || sub.category.split("|").length !== 3) return "Unknown category";
+  if (typeof sub.name !== "string" || !sub.name.trim() || sub.name.length > 24) return "Name must be 1–24 characters";
+  const [difficulty, walls, board] = sub.category.split("|");
+  let replay;
+  try {
+    replay = SnakeReplay.parse(JSON.stringify(sub.replay));
+  } catch (err) {
+    return err.message;
+  }
+  const { config } = replay;
+  if ((config.players || 1) !== 1 || config.rivals) return "Only single-player runs are ranked";
+  if (config.walls !== walls) return "Replay walls don't match the category";
+  if (!boardMatches(board, config)) return "Replay board doesn't match the category";
+  if (!boardPresets[board] && !SnakeLevels.getBuiltIn(board)) {
+    const problem = rebuildLevel(config);
+    if (problem) return problem;
+  }
+  if (difficultySpeeds[difficulty] !== config.tickMs) return "Replay speed doesn't match the category";
+  if (JSON.stringify(config.powerUps || null) !== JSON.stringify(difficultyPowerUps[difficulty])) {
+    return "Replay power-ups don't match the category";
+  }
+  if (JSON.stringify(config.hazards || null) !== JSON.stringify(difficultyHazards[difficulty])) {
+    return "Replay hazards don't match the category";
+  }
+  if ((config.scoring || "combo") !== "combo") return "Replay was scored before combos and bonuses";
+  if (config.speedCurve || config.adaptive) return "Runs with a speed curve or adaptive difficulty aren't ranked";
+  if (replay.inputs.some((input) => input.config)) return "Rules changed during the run";
+  if (!(replay.ticks > 0 && replay.ticks <= maxTicks)) return "Replay length is out of range";
+  if (sub.seed !== config.seed) return "Seed doesn't match the replay";
+
+  const state = await simulate(replay);
+  const snake = state.snakes[0];
+  if (!state.over || state.tick !== replay.ticks) return "Replay doesn't end in a game over";
+  const claimed = { score: snake.score, length: snake.body.length, durationMs: state.timeMs };
+  Object.assign(claimed, { apples: snake.stats.apples, powerUps: snake.stats.powerUps });
+  for (const field of Object.keys(claimed)) {
+    if (sub[field] !== claimed[field]) return `Replay gives ${field} ${claimed[field]}, not ${sub[field]}`;
+  }
+  return null;
+}
+
+/** An in-memory leaderboard: category key → entries, best score first. */
+function createStore(dataFile) {
+  let table = {};
+  if (dataFile && fs.existsSync(dataFile)) table = JSON.parse(fs.readFileSync(dataFile, "utf8"));
+  let nextId = 1 + Math.max(0, ...Object.values(table).flatMap((entries) => entries.map((e) => Number(e.id) || 0)));
+
+  const ranked = (entries, from) => entries.map((entry, i) => Object.assign({ rank: from + i }, entry));
+
+  return {
+    add(sub) {
+      const entry = {
+        id: String(nextId++),
+        name: sub.name.trim(),
+        score: sub.score,
+        length: sub.length,
+        durationMs: sub.durationMs,
+        apples: sub.apples,
+        powerUps: sub.powerUps,
+        seed: sub.seed,
+        date: new Date().toISOString(),
+      };
+      const entries = (table[sub.category] = table[sub.category] || []);
+      let rank = entries.findIndex((e) => entry.score > e.score);
+      if (rank === -1) rank = entries.length;
+      entries.splice(rank, 0, entry);
+      if (dataFile) fs.writeFileSync(dataFile, JSON.stringify(table, null, 2));
+      return { id: entry.id, rank };
+    },
+    top(category, limit) {
+      return ranked((table[category] || []).slice(0, limit), 0);
+    },
+    around(category, near, span) {
+      const entries = table[category] || [];
+      let index;
+      if (near.id) {
+        index = entries.findIndex((e) => e.id === near.id);
+        if (index === -1) return [];
+      } else {
+        index = entries.findIndex((e) => near.score >= e.score); // where that score would rank
+        if (index === -1) index = entries.length;
+      }
+      const from = Math.max(0, index - span);
+      return ranked(entries.slice(from, index + span + 1), from);
+    },
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        reject(Object.assign(new Error("Submission is too large"), { status: 413 }));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (err) {
+        reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 }));
+      }
+    });
+  });
+}
+
+function serveStatic(req, res, pathname) {
+  const file = path.join(root, path.normalize(pathname === "/" ? "/index.html" : pathname));
+  if (!file.startsWith(root + path.sep) || !mimeTypes[path.extname(file)]) {
+    return send(res, 404, { error: "Not found" });
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) return send(res, 404, { error: "Not found" });
+    res.writeHead(200, { "Content-Type": mimeTypes[path.extname(file)] });
+    res.end(data);
+  });
+}
+
+/** The mock server (not listening yet). Options: `dataFile` to keep scores between runs. */
+function createServer({ dataFile = null } = {}) {
+  const store = createStore(dataFile);
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    // the game may be served from elsewhere during development
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (!url.pathname.startsWith("/api/")) return serveStatic(req, res, url.pathname);
+
+    const category = url.searchParams.get("category") || "";
+    const number = (name, fallback, max) => Math.min(max, Math.max(0, Number(url.searchParams.get(name)) || fallback));
+    try {
+      if (url.pathname === "/api/scores" && req.method === "POST") {
+        const sub = await readJson(req);
+        const problem = await checkSubmission(sub);
+        if (problem) return send(res, 422, { error: problem });
+        return send(res, 201, store.add(sub));
+      }
+      if (url.pathname === "/api/scores" && req.method === "GET") {
+        return send(res, 200, { entries: store.top(category, number("limit", 10, 100)) });
+      }
+      if (url.pathname === "/api/scores/around" && req.method === "GET") {
+        const id = url.searchParams.get("id");
+        const near = id ? { id } : { score: number("score", 0, Infinity) };
+        return send(res, 200, { entries: store.around(category, near, number("span", 3, 25)) });
+      }
+      return send(res, 404, { error: "Not found" });
+    } catch (err) {
+      return send(res, err.status || 500, { error: err.message });
+    }
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? null : args[i + 1];
+  };
+  const port = Number(option("port") || process.env.PORT || 8787);
+  createServer({ dataFile: option("data") }).listen(port, () => {
+    console.log(`Mock leaderboard on http://localhost:${port}/ — play at http://localhost:${port}/?leaderboard=/api`);
+  });
+}
+
+module.exports = { createServer, checkSubmission };
@@ -0,0 +1,189 @@
+/*
+ * Settings.
+ * Everything the settings dialog can change, as plain JSON for the page to keep in
+ * localStorage. A save records the format `version` it was written in; `normalize`
+ * upgrades older ones through `migrations` and fills in any field that is missing or
+ * invalid from `defaults`, so a field added later needs a default and nothing more.
+ * Global `SnakeSettings` in the page, require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnakeSettings = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const version = 1;
+
+  // What keys can be bound to, in the key binding screen's order. Alone, both players' keys steer the snake.
+  const keyActions = [
+    { id: "p1Up", label: "Up (player 1)" },
+    { id: "p1Down", label: "Down (player 1)" },
+    { id: "p1Left", label: "Left (player 1)" },
+    { id: "p1Right", label: "Right (player 1)" },
+    { id: "p2Up", label: "Up (player 2)" },
+    { id: "p2Down", label: "Down (player 2)" },
+    { id: "p2Left", label: "Left (player 2)" },
+    { id: "p2Right", label: "Right (player 2)" },
+    { id: "start", label: "Start" },
+    { id: "pause", label: "Pause" },
+    { id: "restart", label: "Restart" },
+    { id: "autopilot", label: "Autopilot" },
+  ];
+  const keySlots = 2; // keys per action
+  const reservedKeys = ["escape", "tab"]; // they close dialogs and move focus
+
+  const defaults = {
+    mode: "solo", // or "versus"
+    rivals: 0,
+    aiStrategy: "mixed",
+    difficulty: "normal", // "easy", "normal", "hard" or "custom"
+    // the custom difficulty's fields; null curve fields keep the curve type's defaults
+    custom: {
+      tickMs: 210,
+      powerUpRate: 100, // % of the usual power-up chances
+      poisonChance: 0, // % per tick
+      rotTicks: 0,
+      patrols: 0,
+      patrolEvery: 2,
+      curveEvery: null,
+      curveStepMs: null,
+      curveMinTickMs: null,
+    },
+    speedCurve: "constant", // or "apples", "time"
+    adaptive: false,
+    walls: "wrap",
+    board: "classic", // a board preset
+    maze: "none", // or a level id
+    sound: true,
+    volume: 100, // master volume, %
+    musicVolume: 50, // %
+    sfxVolume: 100, // sound effects, %
+    powerUps: {}, // id → false for power-ups switched off
+    quality: "high", // or "low": no shadows, grain or high-DPI rendering
+    // touch controls: "auto" (swipes, plus the D-pad on small screens), "dpad" (swipes and the D-pad),
+    // "swipe", "joystick" (a floating stick) or "tap" (turn left or right by which half is tapped)
+    controls: "auto",
+    touchSensitivity: 3, // 1–5: how little a finger has to move to steer
+    haptics: true, // vibrate on apples and crashes where the device can
+    inputBuffer: 3, // turns that can wait for their tick (the engine's inputQueue)
+    // action → its keys as lower-cased KeyboardEvent.key values, null for an empty slot
+    keys: {
+      p1Up: ["w", null],
+      p1Down: ["s", null],
+      p1Left: ["a", null],
+      p1Right: ["d", null],
+      p2Up: ["arrowup", null],
+      p2Down: ["arrowdown", null],
+      p2Left: ["arrowleft", null],
+      p2Right: ["arrowright", null],
+      start: [" ", "enter"],
+      pause: ["p", null],
+      restart: ["r", null],
+      autopilot: ["b", null],
+    },
+  };
+
+  // How to tell a field's value is usable
+  const oneOf = (...values) => (value) => values.includes(value);
+  const integer = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+  const number = (min, max) => (value) => typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+  const checks = {
+    mode: oneOf("solo", "versus"),
+    rivals: integer(0, 3),
+    aiStrategy: (value) => typeof value === "string" && value !== "",
+    difficulty: oneOf("easy", "normal", "hard", "custom"),
+    speedCurve: oneOf("constant", "apples", "time"),
+    adaptive: (value) => typeof value === "boolean",
+    walls: oneOf("solid", "wrap"),
+    board: (value) => typeof value === "string" && value !== "",
+    maze: (value) => typeof value === "string" && value !== "",
+    sound: (value) => typeof value === "boolean",
+    volume: integer(0, 100),
+    musicVolume: integer(0, 100),
+    sfxVolume: integer(0, 100),
+    quality: oneOf("high", "low"),
+    controls: oneOf("auto", "dpad", "swipe", "joystick", "tap"),
+    touchSensitivity: integer(1, 5),
+    haptics: (value) => typeof value === "boolean",
+    inputBuffer: integer(1, 4),
+  };
+  // the custom difficulty's fields, in the settings dialog's limits; out of range gives the default
+  const customChecks = {
+    tickMs: number(60, 400),
+    powerUpRate: number(0, 300),
+    poisonChance: number(0, 5),
+    rotTicks: number(0, 1000),
+    patrols: number(0, 6),
+    patrolEvery: number(1, 8),
+    curveEvery: number(1, 100),
+    curveStepMs: number(1, 50),
+    curveMinTickMs: number(40, 400),
+  };
+
+  // migrations[n] turns a version-n save into a version n+1 one
+  const migrations = {};
+
+  function migrate(saved) {
+    let from = Number.isInteger(saved.version) ? saved.version : 1;
+    while (from < version && migrations[from]) saved = migrations[from++](saved);
+    return saved;
+  }
+
+  /** Settings from storage (or anywhere) made complete and valid for this version; anything else gives the defaults. */
+  function normalize(saved) {
+    const clean = JSON.parse(JSON.stringify(defaults));
+    if (!saved || typeof saved !== "object") return clean;
+    saved = migrate(saved);
+    for (const field of Object.keys(checks)) {
+      if (checks[field](saved[field])) clean[field] = saved[field];
+    }
+    const custom = saved.custom && typeof saved.custom === "object" ? saved.custom : {};
+    for (const field of Object.keys(defaults.custom)) {
+      const value = custom[field];
+      if (customChecks[field](value) || (value === null && defaults.custom[field] === null)) clean.custom[field] = value;
+    }
+    const keys = saved.keys && typeof saved.keys === "object" ? saved.keys : {};
+    for (const { id } of keyActions) {
+      const slots = keys[id];
+      const usable = (key) => key === null || (typeof key === "string" && key !== "" && !reservedKeys.includes(key));
+      if (Array.isArray(slots) && slots.length === keySlots && slots.every(usable)) clean.keys[id] = slots.slice();
+    }
+    if (saved.powerUps && typeof saved.powerUps === "object") {
+      for (const id of Object.keys(saved.powerUps)) if (saved.powerUps[id] === false) clean.powerUps[id] = false;
+    }
+    return clean;
+  }
+
+  /** Keys bound to more than one action: [{ key, actions }], actions by id. */
+  function keyConflicts(keys) {
+    const byKey = new Map();
+    for (const { id } of keyActions) {
+      for (const key of keys[id] || []) {
+        if (key === null) continue;
+        if (!byKey.has(key)) byKey.set(key, []);
+        if (!byKey.get(key).includes(id)) byKey.get(key).push(id);
+      }
+    }
+    return Array.from(byKey, ([key, actions]) => ({ key, actions })).filter((c) => c.actions.length > 1);
+  }
+
+  /** What to save: the settings tagged with the current version. */
+  function toStorage(settings) {
+    return Object.assign({ version }, settings);
+  }
+
+  return {
+    version,
+    keyActions,
+    keySlots,
+    reservedKeys,
+    defaults,
+    migrations,
+    normalize,
+    keyConflicts,
+    toStorage,
+  };
+});
@@ -1,8 +1,28 @@
 /* Service Worker for Snake AI PWA */
-const CACHE_VERSION = "v1";
+importScripts("/leaderboard.js");
+
+const CACHE_VERSION = "v25";
 const STATIC_CACHE = `snake-static-${CACHE_VERSION}`;
 
-const STATIC_ASSETS = ["/", "/index.html", "/styles.css", "/script.js", "/manifest.webmanifest"];
+const STATIC_ASSETS = [
+  "/",
+  "/index.html",
+  "/styles.css",
+  "/rules.js",
+  "/engine.js",
+  "/levels.js",
+  "/replay.js",
+  "/campaign.js",
+  "/daily.js",
+  "/ai.js",
+  "/achievements.js",
+  "/scores.js",
+  "/leaderboard.js",
+  "/settings.js",
+  "/audio.js",
+  "/script.js",
+  "/manifest.webmanifest",
+];
 
 self.addEventListener("install", (event) => {
   event.waitUntil(
@@ -26,8 +46,8 @@ self.addEventListener("activate", (event) => {
 self.addEventListener("fetch", (event) => {
   const { request } = event;
 
-  // Bypass non-GET
-  if (request.method !== "GET") return;
+  // Bypass non-GET, and the leaderboard API (it asks for no-store)
+  if (request.method !== "GET" || request.cache === "no-store") return;
 
   // Network-first for navigations (HTML)
   if (request.mode === "navigate") {
@@ -68,3 +88,16 @@ self.addEventListener("fetch", (event) => {
     );
   }
 });
+
+// Leaderboard submissions that failed while offline wait in IndexedDB; Background Sync
+// fires this once the device is back online (and again later if the flush fails)
+self.addEventListener("sync", (event) => {
+  if (event.tag !== SnakeLeaderboard.syncTag) return;
+  event.waitUntil(
+    (async () => {
+      const delivered = await SnakeLeaderboard.flushQueue();
+      const clients = await self.clients.matchAll();
+      for (const client of clients) client.postMessage({ type: "leaderboard-delivered", delivered });
+    })()
+  );
+});
@@ -0,0 +1,93 @@
+/*
+ * Mock leaderboard checks: a bot plays a Normal run on the small board, and the run goes to the
+ * server through the REST adapter the page uses. Run with `node --test`.
+ */
+"use strict";
+
+const assert = require("node:assert/strict");
+const { test, before, after } = require("node:test");
+const SnakeEngine = require("../engine.js");
+const SnakeReplay = require("../replay.js");
+const SnakeLevels = require("../levels.js");
+const SnakeAI = require("../ai.js");
+const SnakeScores = require("../scores.js");
+const SnakeLeaderboard = require("../leaderboard.js");
+const { difficultySpeeds, boardPresets } = require("../rules.js");
+const { createServer } = require("../server/mock-leaderboard.js");
+
+const category = { difficulty: "normal", walls: "solid", board: "small" };
+const key = SnakeScores.categoryKey(category);
+
+// A finished run on `category`'s rules, as the page would submit it; `level` plays a maze instead of the small board
+function playRun(seed, level = null) {
+  const config = Object.assign({ seed, walls: category.walls, tickMs: difficultySpeeds.normal }, boardPresets.small);
+  if (level) config.level = level;
+  const game = SnakeEngine.createGame(config);
+  const state = game.getState();
+  const recorder = SnakeReplay.createRecorder(state.config);
+  while (!state.over) {
+    const dir = SnakeAI.nextDirection("greedy", state, 0);
+    if (game.turn(dir.x, dir.y)) recorder.turn(state.tick, dir.x, dir.y);
+    game.step();
+  }
+  const replay = JSON.parse(JSON.stringify(recorder.finish(state)));
+  const runKey = level ? SnakeScores.categoryKey(Object.assign({}, category, { board: level.id })) : key;
+  return SnakeLeaderboard.createSubmission(runKey, SnakeScores.entryFromState(state, "Bot"), replay);
+}
+
+let server;
+let leaderboard;
+
+before(async () => {
+  server = createServer();
+  await new Promise((resolve) => server.listen(0, resolve));
+  leaderboard = SnakeLeaderboard.createRestAdapter({ baseUrl: `http://localhost:${server.address().port}/api`, fetch });
+});
+
+after(() => server.close());
+
+test("accepts a run its replay backs up", async () => {
+  const run = playRun(3);
+  assert.deepEqual(await leaderboard.submit(run), { id: "1", rank: 0 });
+  const [entry] = await leaderboard.top(key, 10);
+  assert.equal(entry.name, "Bot");
+  assert.equal(entry.score, run.score);
+});
+
+test("turns down a run whose score was changed", async () => {
+  const run = playRun(4);
+  const err = await leaderboard.submit(Object.assign({}, run, { score: run.score + 10 })).catch((e) => e);
+  assert.equal(err.status, 422);
+  assert.match(err.message, /score/);
+});
+
+test("turns down a run sent in for another category", async () => {
+  const run = playRun(5);
+  const err = await leaderboard.submit(Object.assign({}, run, { category: "normal|solid|classic" })).catch((e) => e);
+  assert.equal(err.status, 422);
+  assert.match(err.message, /board doesn't match/);
+});
+
+test("checks a level only its player has before replaying it", async () => {
+  const level = Object.assign({}, SnakeLevels.getBuiltIn("box"), { id: "mine", name: "Mine" });
+  assert.equal((await leaderboard.submit(playRun(6, level))).rank, 0);
+
+  const run = playRun(7, level);
+  run.replay.config.level.hazards = { patrols: 500 };
+  const err = await leaderboard.submit(run).catch((e) => e);
+  assert.equal(err.status, 422);
+  assert.match(err.message, /too many patrols/);
+
+  const startless = playRun(8, level);
+  startless.replay.config.level.start = null;
+  assert.match((await leaderboard.submit(startless).catch((e) => e)).message, /no start/);
+
+  // a cell far off the board would have the level rebuilt as one enormous row
+  const farWall = playRun(9, level);
+  farWall.replay.config.level.walls.push({ x: 300000000, y: 1 });
+  const started = Date.now();
+  const far = await leaderboard.submit(farWall).catch((e) => e);
+  assert.equal(far.status, 422);
+  assert.match(far.message, /not a playable board/);
+  assert.ok(Date.now() - started < 1000);
+});
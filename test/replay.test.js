@@ -0,0 +1,85 @@
+/*
+ * Replay round trips: bots play a run on the headless engine while a recorder takes down their
+ * turns the way the page does, then the saved file is parsed and played back on a fresh state.
+ * The playback has to end exactly where the run did. Run with `node --test`.
+ */
+"use strict";
+
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const SnakeEngine = require("../engine.js");
+const SnakeReplay = require("../replay.js");
+const SnakeLevels = require("../levels.js");
+const SnakeAI = require("../ai.js");
+
+const maxTicks = 5000; // bots that never crash still stop somewhere
+const strategies = Object.keys(SnakeAI.strategies);
+
+// Plays `config` with bots for every snake and returns the final state and its replay file's text
+function recordRun(config) {
+  const game = SnakeEngine.createGame(config);
+  const state = game.getState();
+  const recorder = SnakeReplay.createRecorder(state.config);
+  while (!state.over && state.tick < maxTicks) {
+    state.snakes.forEach((snake, i) => {
+      if (!snake.alive) return;
+      const dir = SnakeAI.nextDirection(strategies[i % strategies.length], state, i);
+      if (game.turn(dir.x, dir.y, i)) recorder.turn(state.tick, dir.x, dir.y, i);
+    });
+    game.step();
+  }
+  return { state, text: JSON.stringify(recorder.finish(state)) };
+}
+
+function assertSameRun(played, recorded) {
+  assert.equal(played.tick, recorded.tick);
+  assert.equal(played.over, recorded.over);
+  assert.equal(played.winner, recorded.winner);
+  assert.deepEqual(
+    played.snakes.map((snake) => [snake.score, snake.alive, snake.body]),
+    recorded.snakes.map((snake) => [snake.score, snake.alive, snake.body])
+  );
+}
+
+test("a solo run plays back the same", () => {
+  const { state, text } = recordRun({ seed: 11, walls: "solid" });
+  assert.ok(state.snakes[0].score > 0);
+  assertSameRun(SnakeReplay.simulate(SnakeReplay.parse(text)), state);
+});
+
+test("a versus run with rivals plays back the same", () => {
+  const { state, text } = recordRun({ seed: 12, walls: "wrap", players: 2, rivals: 2 });
+  assert.equal(state.snakes.length, 4);
+  assertSameRun(SnakeReplay.simulate(SnakeReplay.parse(text)), state);
+});
+
+test("runs on mazes with patrols and portals play back the same", () => {
+  for (const id of ["sentries", "portals"]) {
+    const { state, text } = recordRun({ seed: 13, walls: "solid", level: SnakeLevels.getBuiltIn(id), rivals: 1 });
+    assertSameRun(SnakeReplay.simulate(SnakeReplay.parse(text)), state);
+  }
+});
+
+test("hazards and power-ups play back the same", () => {
+  const hazards = { poisonChance: 0.008, rotTicks: 150, patrols: 2 };
+  const { state, text } = recordRun({ seed: 14, walls: "solid", hazards, powerUps: { bomb: { chance: 0.05 } } });
+  assertSameRun(SnakeReplay.simulate(SnakeReplay.parse(text)), state);
+});
+
+test("replays that would hang or flood the page are turned away", () => {
+  const { text } = recordRun({ seed: 16, walls: "solid" });
+  const doctor = (change) => {
+    const data = JSON.parse(text);
+    change(data);
+    return JSON.stringify(data);
+  };
+  const broken = [
+    doctor((data) => (data.config.tickMs = 0)),
+    doctor((data) => (data.config.tickMs = "fast")),
+    doctor((data) => (data.config.width = 100000)),
+    doctor((data) => data.inputs.push({ tick: 3, config: { tickMs: -5 } })),
+    doctor((data) => data.inputs.unshift({ tick: 1.5, x: 0, y: 1 })),
+    doctor((data) => data.inputs.push({ tick: 0, x: 0, y: 1 })),
+  ];
+  for (const file of broken) assert.throws(() => SnakeReplay.parse(file), /Replay file is incomplete/);
+});